@@ -1,19 +1,71 @@
+// アプリ本体（画面まわり）
+// - index.html から <script type="module"> で読み込む
+// - DOM に依存しない処理は各モジュールにある（出題・採点：quiz-engine.js / 問題データ：question-sources.js ほか）
+import { normalizeUrlForCompare } from "./question-bank.js";
+import {
+  PACK_MANIFEST_FILE,
+  readPackManifest,
+  getSourceAdapter,
+  decodeQuestionSource,
+  parseQuestionSource,
+} from "./question-sources.js";
+import { validateQuestionBank, VALIDATION_SECTIONS } from "./validator.js";
+import {
+  STATS_KEY,
+  HISTORY_KEY,
+  getStat,
+  setStat,
+  groupAttemptsById,
+  scoreAnswer,
+  newQuizSeed,
+  shuffleChoices,
+  parseQuizLink,
+  buildQuizLink,
+  createQuizEngine,
+} from "./quiz-engine.js";
+
+
 /***********************
  * 設定
  ***********************/
 
-// 問題の元データとなる CSV ファイル（既存のものをそのまま利用）
-const CSV_FILES = ["result.csv", "result (1).csv", "result (2).csv"]; // index.html と同じフォルダに配置
+// 問題の元データは packs.json に並べる（読み込める形式は question-sources.js の SOURCE_ADAPTERS）
 
-// 1セットで出題する問題数
+// 1セットで出題する問題数（初期値。スタート画面の「問題数」で変更できる）
 const QUESTIONS_PER_QUIZ = 10;
 
-// デバッグ用：特定の問題だけを出題したいときの ID リスト
-// 形式は「練習問題セット-設問」。例：セット1の設問3 → "1-3"
-const FIXED_QUESTION_IDS = [];
+// 特定の問題だけを出題したいときは、URL に ?ids=1-3,2-7 を付けて開く（共有リンクと同じ。「クイズの共有」を参照）
+// ID の形式は「練習問題セット-設問」。例：セット1の設問3 → "1-3"
+
+// 「間違えた問題を復習」：各問題の直近何回分の回答を見るか（画面で変更可）
+const DEFAULT_MISTAKE_WINDOW = 3;
+
+// 模擬試験モードの初期値（スタート画面で変更できる）
+const EXAM_DEFAULT_QUESTION_COUNT = 50;
+const EXAM_DEFAULT_MINUTES = 60;
+const EXAM_DEFAULT_PASS_PERCENT = 70;
 
-// ★ できるだけ広く出題したい：学習回数（= 1回10問のセット）をこの回数で回すと、全問を一通り出しやすくする
-const TARGET_RUNS_TO_SEE_ALL = 20;
+// ★ できるだけ広く出題するための回数（TARGET_RUNS_TO_SEE_ALL）は quiz-engine.js にある
+
+
+/***********************
+ * 出題エンジン（quiz-engine.js）
+ *  - 出題統計・回答履歴の保存先は localStorage、乱数は Math.random
+ ***********************/
+const {
+  loadQuizStats,
+  saveQuizStats,
+  recordGradeResult,
+  setStudyMark,
+  pickQuestions,
+  pickLinkedQuestions,
+  pickStudyQuestions,
+  loadAnswerHistory,
+  saveAnswerHistory,
+  recordAttempt,
+  seedHistoryFromQuestions,
+  pickMistakeQuestions,
+} = createQuizEngine({ storage: localStorage });
 
 
 /***********************
@@ -31,172 +83,204 @@ function escapeHTML(str) {
     .replaceAll("'", "&#039;");
 }
 
-function shuffleArray(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
 function indexToLabel(i) {
   return String.fromCharCode("A".charCodeAt(0) + i);
 }
 
-function linkOrText(url) {
+// http(s) の URL だけリンクにする（javascript: などはテキストのまま）
+function linkOrText(url, label) {
   const u = String(url ?? "").trim();
   if (!u) return "";
+  const text = String(label ?? "").trim() || u;
   if (/^https?:\/\//i.test(u)) {
-    return `<a href="${escapeHTML(u)}" target="_blank" rel="noopener noreferrer">${escapeHTML(u)}</a>`;
+    return `<a href="${escapeHTML(u)}" target="_blank" rel="noopener noreferrer">${escapeHTML(text)}</a>`;
   }
-  return escapeHTML(u);
+  return escapeHTML(text === u ? u : `${text}（${u}）`);
 }
 
-
-/***********************
- * CSV パーサ（シンプル・クォート対応）
- ***********************/
-function parseCSV(text) {
-  const rows = [];
-  let row = [];
-  let cur = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    const next = text[i + 1];
-
-    if (inQuotes) {
-      if (ch === '"' && next === '"') {
-        // "" → " にエスケープされているケース
-        cur += '"';
-        i++;
-      } else if (ch === '"') {
-        inQuotes = false;
-      } else {
-        cur += ch;
-      }
-    } else {
-      if (ch === '"') {
-        inQuotes = true;
-      } else if (ch === ",") {
-        row.push(cur);
-        cur = "";
-      } else if (ch === "\n") {
-        row.push(cur);
-        rows.push(row);
-        row = [];
-        cur = "";
-      } else if (ch === "\r") {
-        // \r\n など
-        continue;
+/**
+ * 解説本文の簡易マークアップ → HTML
+ *   - 空行で段落（<p>）、段落内の改行は <br>
+ *   - 「- 」で始まる行が続く部分は箇条書き（<ul><li>）
+ *   - _英字で始まる語_ は強調（<em>）。「report_0401」「__ROOT__」のような語中・連続の _ はそのまま
+ * 先に escapeHTML してから上記のタグだけを足すので、本文中の HTML はすべて文字として表示される
+ */
+function renderExplanationBody(body) {
+  const inline = (line) =>
+    escapeHTML(line).replace(/(^|[^\w])_([A-Za-z][^_\n]*?)_(?=[^\w]|$)/g, "$1<em>$2</em>");
+
+  const paragraphs = String(body ?? "").replace(/\r\n/g, "\n").split(/\n\s*\n/);
+  let html = "";
+
+  for (const para of paragraphs) {
+    const lines = para.split("\n").filter(l => l.trim() !== "");
+    if (lines.length === 0) continue;
+
+    let textLines = [];
+    let listItems = [];
+    const flushText = () => {
+      if (textLines.length) html += `<p>${textLines.map(inline).join("<br>")}</p>`;
+      textLines = [];
+    };
+    const flushList = () => {
+      if (listItems.length) html += `<ul>${listItems.map(l => `<li>${inline(l)}</li>`).join("")}</ul>`;
+      listItems = [];
+    };
+
+    for (const line of lines) {
+      const m = line.match(/^\s*-\s+(.*)$/);
+      if (m) {
+        flushText();
+        listItems.push(m[1]);
       } else {
-        cur += ch;
+        flushList();
+        textLines.push(line);
       }
     }
+    flushText();
+    flushList();
   }
 
-  // 最後のセル
-  row.push(cur);
-  rows.push(row);
-
-  // 空行っぽいものを削る
-  return rows.filter(r => r.some(c => String(c ?? "").trim() !== ""));
+  return html;
 }
 
 
 /***********************
- * クイズ履歴（ローカルストレージ）
- * 目的：できるだけ広く出題されるように、直近で出した問題を避ける
+ * ブックマーク・メモ（ローカルストレージ）
+ * 目的：気になる問題に印を付けたり、自分用のメモを残したりする（問題 ID ごと）
  ***********************/
-const STATS_KEY = "kintone_quiz_stats_v1";
+const NOTES_KEY = "kintone_quiz_notes_v1";
 
 /**
- * stats = {
- *   quizRun: number,
+ * notes = {
  *   byId: {
- *     [id]: { seen: number, lastSeen: number }
+ *     [id]: {
+ *       bookmarked: boolean,
+ *       note: string,
+ *       updatedAt: number,   // 最後に変更した日時（ms）。バックアップのマージで新しい方を採る
+ *     }
  *   }
  * }
  */
-function loadQuizStats() {
+function loadQuestionNotes() {
   try {
-    const raw = localStorage.getItem(STATS_KEY);
-    if (!raw) return { quizRun: 0, byId: {} };
+    const raw = localStorage.getItem(NOTES_KEY);
+    if (!raw) return { byId: {} };
     const data = JSON.parse(raw);
-    if (!data || typeof data !== "object") return { quizRun: 0, byId: {} };
-    if (!data.byId) data.byId = {};
-    if (typeof data.quizRun !== "number") data.quizRun = 0;
+    if (!data || typeof data !== "object" || !data.byId || typeof data.byId !== "object") return { byId: {} };
     return data;
   } catch {
-    return { quizRun: 0, byId: {} };
+    return { byId: {} };
   }
 }
 
-function saveQuizStats(stats) {
+function saveQuestionNotes(notes) {
   try {
-    localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+    localStorage.setItem(NOTES_KEY, JSON.stringify(notes));
   } catch {
     // ignore
   }
 }
 
-function getStat(stats, id) {
-  return stats.byId[id] || { seen: 0, lastSeen: -1 };
-}
-
-function setStat(stats, id, value) {
-  stats.byId[id] = value;
+function getQuestionNote(id) {
+  const n = loadQuestionNotes().byId[id];
+  return { bookmarked: Boolean(n?.bookmarked), note: String(n?.note ?? "") };
 }
 
-/**
- * 出題ロジック：
- * - FIXED_QUESTION_IDS があればそれを優先
- * - そうでなければ「最近出ていない問題」を優先して抽出
- */
-function pickQuestions(all, n) {
-  if (FIXED_QUESTION_IDS.length > 0) {
-    const map = new Map(all.map(q => [q.id, q]));
-    const picked = FIXED_QUESTION_IDS.map(id => map.get(id)).filter(Boolean);
-    return picked.slice(0, n);
+// ブックマーク・メモのどちらかを更新する（両方空になったら項目ごと消す）
+function updateQuestionNote(id, patch) {
+  const notes = loadQuestionNotes();
+  const next = { ...getQuestionNote(id), ...patch, updatedAt: Date.now() };
+  if (!next.bookmarked && !next.note.trim()) {
+    delete notes.byId[id];
+  } else {
+    notes.byId[id] = next;
   }
+  saveQuestionNotes(notes);
+}
 
-  const stats = loadQuizStats();
-  const nextRun = (stats.quizRun || 0) + 1;
-
-  // スコアリング：lastSeen が古いほど優先（見たことないものは最優先）
-  const scored = all.map(q => {
-    const s = getStat(stats, q.id);
-    const seen = s.seen || 0;
-    const lastSeen = (typeof s.lastSeen === "number") ? s.lastSeen : -1;
+function pickBookmarkedQuestions(all) {
+  const byId = loadQuestionNotes().byId;
+  return all.filter(q => byId[q.id]?.bookmarked);
+}
 
-    // lastSeen が -1（未出題）は優先
-    // それ以外は「今からどれだけ離れているか」で優先
-    const gap = (lastSeen < 0) ? 999999 : (nextRun - lastSeen);
-    return { q, seen, lastSeen, gap };
-  });
 
-  // gap 大きい（古い）→ seen 少ない → ランダム
-  scored.sort((a, b) => {
-    if (b.gap !== a.gap) return b.gap - a.gap;
-    if (a.seen !== b.seen) return a.seen - b.seen;
-    return Math.random() - 0.5;
-  });
+/***********************
+ * 出題設定（ローカルストレージ）
+ ***********************/
+const SETTINGS_KEY = "kintone_quiz_settings_v1";
 
-  const picked = scored.slice(0, n).map(x => x.q);
+/**
+ * settings = {
+ *   mode: "practice" | "exam" | "study", // 練習（1問ずつ採点）/ 模擬試験（時間制限・まとめて採点）/ 学習（採点なし）
+ *   scoring: "strict" | "partial" | "penalty", // 複数選択問題の採点方式（SCORING_POLICIES）
+ *   showSelectionHint: boolean, // 「複数選択可」や選ぶ数を表示するか
+ *   questionCount: number,   // 1回の出題数（練習）
+ *   examQuestionCount: number, // 模擬試験の出題数
+ *   examMinutes: number,     // 模擬試験の制限時間（分）
+ *   examPassPercent: number, // 模擬試験の合格ライン（正答率 %）
+ *   source: "all" | "mistakes" | "bookmarks",
+ *   mistakeWindow: number,   // 「間違えた問題」で見る直近の回答数
+ *   exclude: {               // 出題から外す値（新しいカテゴリ等は最初から対象に入るよう「除外」で持つ）
+ *     category: string[],
+ *     setNo: string[],
+ *     examRevision: string[],
+ *   }
+ * }
+ */
+function defaultSettings() {
+  return {
+    mode: "practice",
+    scoring: "strict",
+    showSelectionHint: true,   // 「複数選択可」や選ぶ数を表示するか（本番同様にするなら false）
+    questionCount: QUESTIONS_PER_QUIZ,
+    examQuestionCount: EXAM_DEFAULT_QUESTION_COUNT,
+    examMinutes: EXAM_DEFAULT_MINUTES,
+    examPassPercent: EXAM_DEFAULT_PASS_PERCENT,
+    source: "all",
+    mistakeWindow: DEFAULT_MISTAKE_WINDOW,
+    exclude: { category: [], setNo: [], examRevision: [] },
+  };
+}
 
-  // stats 更新
-  picked.forEach(q => {
-    const s = getStat(stats, q.id);
-    setStat(stats, q.id, { seen: (s.seen || 0) + 1, lastSeen: nextRun });
-  });
-  stats.quizRun = nextRun;
-  saveQuizStats(stats);
+function loadSettings() {
+  const base = defaultSettings();
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    if (!raw) return base;
+    const data = JSON.parse(raw);
+    if (!data || typeof data !== "object") return base;
+    return {
+      ...base,
+      ...data,
+      exclude: { ...base.exclude, ...(data.exclude || {}) },
+    };
+  } catch {
+    return base;
+  }
+}
 
-  return picked;
+function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
 }
 
+/**
+ * 採点方式（複数選択問題の点数の付け方。単一選択問題はどれでも 0 / 1 点）
+ *   - strict  … 全部合っていれば 1 点、それ以外は 0 点
+ *   - partial … 選べた正解の割合を点数にする（誤って選んだものは減点しない）
+ *   - penalty … 選べた正解の割合から、誤って選んだ数の割合を引く（0 点未満にはしない）
+ * 正誤（間隔反復・回答履歴・「間違えた問題」）は方式によらず完全一致で判定する
+ */
+const SCORING_POLICIES = {
+  strict: "完全一致のみ得点",
+  partial: "部分点（選べた正解の割合）",
+  penalty: "部分点＋誤選択で減点",
+};
+
 
 /***********************
  * 解説レイヤー（explanations.json）
@@ -231,133 +315,126 @@ async function loadExplanations() {
 
 
 /***********************
- * CSV → 問題オブジェクト変換
- * （result*.csv 専用のマッピング）
+ * 解説のローカル上書き（ローカルストレージ）
+ * 目的：アプリ内で解説を直し、explanations.json に反映する前の下書きとして残す
  ***********************/
+const EXPLANATION_OVERRIDES_KEY = "kintone_quiz_explanation_overrides_v1";
+
 /**
- * result.csv 系の前提：
- *   - 「練習問題セット」「設問」から一意な id ("1-3" など) を採番
- *   - 選択肢は { text, rawText, isCorrect, helpUrl, textRef } の形
- *   - rawText は「原文厳格引用」用（trim しない）
+ * overrides = {
+ *   byId: {
+ *     [id]: { id, title, body, links: [{ label, url }], updatedAt: string(ISO) }
+ *   }
+ * }
  */
-function buildQuestionsFromResultCsv(rows) {
-  if (!rows || rows.length < 2) return [];
-
-  const header = rows[0].map(h => (h ?? "").trim());
-  const hIndex = (name) => header.indexOf(name);
-
-  // result.csv 系の列名に合わせる
-  const idx = {
-    setNo:    hIndex("練習問題セット"),
-    qNo:      hIndex("設問"),
-    category: hIndex("カテゴリ"),
-    question: hIndex("出題内容"),
-    choiceA:  hIndex("選択肢A"),
-    choiceB:  hIndex("選択肢B"),
-    choiceC:  hIndex("選択肢C"),
-    choiceD:  hIndex("選択肢D"),
-    correct:  hIndex("正解"),
-    urlA:     hIndex("関連リンクA"),
-    urlB:     hIndex("関連リンクB"),
-    urlC:     hIndex("関連リンクC"),
-    urlD:     hIndex("関連リンクD"),
-    textRefA: hIndex("参照テキストA"),
-    textRefB: hIndex("参照テキストB"),
-    textRefC: hIndex("参照テキストC"),
-    textRefD: hIndex("参照テキストD"),
-  };
+function loadExplanationOverrides() {
+  try {
+    const raw = localStorage.getItem(EXPLANATION_OVERRIDES_KEY);
+    if (!raw) return { byId: {} };
+    const data = JSON.parse(raw);
+    if (!data || !data.byId || typeof data.byId !== "object") return { byId: {} };
+    return data;
+  } catch {
+    return { byId: {} };
+  }
+}
 
-  const questions = [];
+function saveExplanationOverrides(overrides) {
+  try {
+    localStorage.setItem(EXPLANATION_OVERRIDES_KEY, JSON.stringify(overrides));
+  } catch {
+    // ignore
+  }
+}
 
-  for (let r = 1; r < rows.length; r++) {
-    const row = rows[r];
-
-    const getRaw = (i) => (i >= 0 && i < row.length ? (row[i] ?? "") : "");
-    const get = (i) => getRaw(i).trim();
-
-    const setNo = get(idx.setNo);
-    const qNo = get(idx.qNo);
-    const id = (setNo && qNo) ? `${setNo}-${qNo}` : `row-${r}`;
-
-    const category = get(idx.category);
-    const textRaw = getRaw(idx.question);
-    const text = textRaw.trim();
-    const correctRaw = get(idx.correct).toUpperCase();
-
-    if (!text || !correctRaw) continue;
-
-    // 正答列 "ABC" → ["A","B","C"] に分解（A〜D 以外の文字は無視）
-    const correctKeys = Array.from(
-      new Set(
-        correctRaw
-          .split("")
-          .filter(ch => ["A", "B", "C", "D"].includes(ch))
-      )
-    );
-
-    // 各選択肢を「中身＋正誤フラグ」で定義（A/B/C/D のラベル自体には依存しない）
-    const rawChoices = [
-      {
-        colKey: "A",
-        rawText: getRaw(idx.choiceA),
-        text: get(idx.choiceA),
-        helpUrl: get(idx.urlA),
-        textRef: get(idx.textRefA),
-      },
-      {
-        colKey: "B",
-        rawText: getRaw(idx.choiceB),
-        text: get(idx.choiceB),
-        helpUrl: get(idx.urlB),
-        textRef: get(idx.textRefB),
-      },
-      {
-        colKey: "C",
-        rawText: getRaw(idx.choiceC),
-        text: get(idx.choiceC),
-        helpUrl: get(idx.urlC),
-        textRef: get(idx.textRefC),
-      },
-      {
-        colKey: "D",
-        rawText: getRaw(idx.choiceD),
-        text: get(idx.choiceD),
-        helpUrl: get(idx.urlD),
-        textRef: get(idx.textRefD),
-      },
-    ];
-
-    // 実際にテキストが入っている選択肢だけ抽出
-    const choices = [];
-    rawChoices.forEach((c, idxChoice) => {
-      if (!c.text) return;
-      choices.push({
-        // 「どの列から来たか」は id に残しておく（現状は使っていないがデバッグ用）
-        id: idxChoice,
-        text: c.text,
-        rawText: c.rawText ?? c.text,
-        isCorrect: correctKeys.includes(c.colKey),
-        helpUrl: c.helpUrl,
-        textRef: c.textRef,
-      });
-    });
+// 同梱の解説：explanations.json → 問題パックに入っていた解説 の順
+function getShippedExplanation(id) {
+  return explanationsById[id] || packExplanationsById[id] || null;
+}
+
+// 表示に使う解説：ローカル上書き → 同梱の解説 の順
+function getExplanation(id) {
+  const override = loadExplanationOverrides().byId[id];
+  return override || getShippedExplanation(id);
+}
+
+/**
+ * 上書きを反映した explanations.json の中身
+ *   - 元ファイルの並び順を保ち、上書きだけある id は末尾に足す
+ *   - asOf は書き出した日付にする
+ */
+function buildMergedExplanations() {
+  const overrides = loadExplanationOverrides().byId;
+  const toItem = (e) => ({ id: e.id, title: e.title ?? "", body: e.body ?? "", links: e.links ?? [] });
+
+  const items = Object.values(explanationsById).map(item =>
+    overrides[item.id] ? { ...item, ...toItem(overrides[item.id]) } : item
+  );
+  Object.values(overrides)
+    .filter(o => !explanationsById[o.id])
+    .forEach(o => items.push(toItem(o)));
+
+  return { asOf: formatDateKey(Date.now()), items };
+}
 
-    if (choices.length < 2) continue;
 
-    const correctCount = choices.filter(c => c.isCorrect).length;
-    if (correctCount === 0) continue;
+/***********************
+ * 取り込んだ CSV の保存（IndexedDB）
+ * 目的：スマホからでも問題セットを追加できるように、ファイルの原文をブラウザ内に残す
+ ***********************/
+const IMPORT_DB_NAME = "kintone_quiz_import_v1";
+const IMPORT_STORE = "csvFiles";
+
+/**
+ * レコード = { file: string, text: string, format?: string, importedAt: string(ISO) }
+ *   text は文字コードを変換した後のテキスト、format はソースアダプタの id（ない記録は結果CSV）
+ * キーはファイル名（同名ファイルを取り込み直すと上書き）
+ */
+function openImportDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB が使えません"));
+      return;
+    }
+    const req = indexedDB.open(IMPORT_DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(IMPORT_STORE, { keyPath: "file" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
 
-    questions.push({
-      id,                          // 解説レイヤーと紐づけるための一意な ID
-      category,
-      text,
-      textRaw,
-      choices,                     // A/B/C/D に依存しない「内容＋正誤フラグ」
-      isMultiple: correctCount > 1 // true → 複数選択問題
+async function withImportStore(mode, fn) {
+  const db = await openImportDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(IMPORT_STORE, mode);
+      const req = fn(tx.objectStore(IMPORT_STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
     });
+  } finally {
+    db.close();
+  }
+}
+
+async function loadImportedFiles() {
+  try {
+    return (await withImportStore("readonly", store => store.getAll())) || [];
+  } catch (e) {
+    console.warn("取り込み済み CSV の読み込みに失敗:", e);
+    return [];
   }
+}
+
+function saveImportedFile(record) {
+  return withImportStore("readwrite", store => store.put(record));
+}
 
-  return questions;
+function deleteImportedFile(file) {
+  return withImportStore("readwrite", store => store.delete(file));
 }
 
 
@@ -370,10 +447,26 @@ let allQuestions = [];
 // 参照用：id → 元の問題（CSV順の選択肢を保持）
 let allQuestionsById = {};
 
-// 今回の10問
+// 問題の元になったファイルの原文（テキスト）の一覧
+//   { file, text, format, origin: "bundled" | "imported" }（同梱ファイル → 取り込みファイルの順）
+let questionSources = [];
+// packs.json に載っている同梱ファイル名
+let packFiles = [];
+// 問題パックに入っていた解説：id → { id, title, body, links }
+let packExplanationsById = {};
+// 同梱ファイルの取得失敗など、原文が無いファイルのレポート
+let sourceErrors = [];
+
+// 出題設定（スタート画面の入力内容）
+let quizSettings = defaultSettings();
+
+// 今回出題する問題
 let currentQuizQuestions = [];
 let currentIndex = 0;
 
+// 今回のクイズの種（選択肢の並びを決める。共有リンクに載せる。学習では null）
+let currentQuizSeed = null;
+
 // 各問題の回答（選択した choiceIndex の配列）
 let userAnswers = [];
 
@@ -383,6 +476,21 @@ let questionStates = [];
 // 合計正解数
 let scoreCount = 0;
 
+// 今回のクイズの出題モード（開始時の設定を固定して持つ）
+let quizMode = "practice";
+
+// 採点方式（開始時の設定を固定して使う）
+let quizScoring = "strict";
+
+// 模擬試験の進行状態 { startedAt, deadline, finishedAt, timerId }（練習モードでは null）
+let examState = null;
+
+// 出題中セッションの抽出前 stats（中断して破棄したときの巻き戻し用）
+let currentSessionStatsBefore = null;
+
+// 直前に描画した問題の index（問題が切り替わったときだけフォーカスを問題文へ移すため）
+let lastRenderedIndex = -1;
+
 
 /***********************
  * DOM 参照
@@ -390,24 +498,106 @@ let scoreCount = 0;
 const startScreen  = $("start-screen");
 const quizScreen   = $("quiz-screen");
 const resultScreen = $("result-screen");
+const dashboardScreen = $("dashboard-screen");
+const validationScreen = $("validation-screen");
+
+const updateBannerEl     = $("update-banner");
+const updateBannerTextEl = $("update-banner-text");
+const updateReloadBtn    = $("update-reload-btn");
+const offlineStatusEl    = $("offline-status");
+const browseScreen = $("browse-screen");
 
 const loadStatus   = $("load-status");
 const startBtn     = $("start-btn");
 
+const resumePanelEl     = $("resume-panel");
+const resumeInfoEl      = $("resume-info");
+const resumeBtn         = $("resume-btn");
+const discardSessionBtn = $("discard-session-btn");
+
+const mistakeWindowInput = $("mistake-window");
+const mistakeCountEl     = $("mistake-count");
+const bookmarkCountEl    = $("bookmark-count");
+const questionCountInput = $("question-count");
+const poolCountEl        = $("pool-count");
+const showSelectionHintInput = $("show-selection-hint");
+const practiceConfigEl   = $("practice-config");
+const examConfigEl       = $("exam-config");
+const examCountInput     = $("exam-count");
+const examMinutesInput   = $("exam-minutes");
+const examPassInput      = $("exam-pass");
+
+const importDropZone = $("import-drop");
+const importInput    = $("import-input");
+const importStatusEl = $("import-status");
+const importedListEl = $("imported-list");
+
 const gradeBtn     = $("grade-btn");
 const explainBtn   = $("explain-btn");
 const nextBtn      = $("next-btn");
+const prevBtn      = $("prev-btn");
+const flagBtn      = $("flag-btn");
+const submitBtn    = $("submit-btn");
+const examTimerEl  = $("exam-timer");
+const paletteEl    = $("question-palette");
 const restartBtn   = $("restart-btn");
+const homeBtn      = $("home-btn");
+const shareBtn     = $("share-btn");
+const shareStatusEl = $("share-status");
 const copyEditBtn = $("copy-edit-btn");
+const editExplainBtn = $("edit-explain-btn");
+
+const explainEditorEl     = $("explain-editor");
+const editorTitleInput    = $("editor-title");
+const editorBodyInput     = $("editor-body");
+const editorLinksInput    = $("editor-links");
+const editorStatusEl      = $("editor-status");
+const editorDiffEl        = $("editor-diff");
+const editorSaveBtn       = $("editor-save-btn");
+const editorRevertBtn     = $("editor-revert-btn");
+const editorDiffBtn       = $("editor-diff-btn");
+const editorExportBtn     = $("editor-export-btn");
+const editorCloseBtn      = $("editor-close-btn");
 
 const questionNumberEl = $("question-number");
 const categoryLabelEl  = $("category-label");
 const questionTextEl   = $("question-text");
 const choicesContainer = $("choices-container");
 const feedbackEl       = $("feedback");
+const liveRegionEl     = $("live-region");
 const progressBarEl    = $("progress-bar");
 
+const backupExportBtn    = $("backup-export-btn");
+const backupImportInput  = $("backup-import-input");
+const backupStatusEl     = $("backup-status");
+
+const validateBtn          = $("validate-btn");
+const validationBackBtn    = $("validation-back-btn");
+const validationContentEl  = $("validation-content");
+
+const dashboardBtn       = $("dashboard-btn");
+const dashboardBackBtn   = $("dashboard-back-btn");
+const dashboardContentEl = $("dashboard-content");
+
+const browseBtn         = $("browse-btn");
+const browseBackBtn     = $("browse-back-btn");
+const browseQueryInput  = $("browse-query");
+const browseCategoryEl  = $("browse-category");
+const browseSetNoEl     = $("browse-setNo");
+const browseStatusEl    = $("browse-status");
+const browseExplainEl   = $("browse-explanation");
+const browseCountEl     = $("browse-count");
+const browseResultsEl   = $("browse-results");
+const browseQuizBtn     = $("browse-quiz-btn");
+const studyBackBtn      = $("study-back-btn");
+const bookmarkBtn       = $("bookmark-btn");
+const noteInput         = $("note-input");
+const revealBtn         = $("reveal-btn");
+const understoodBtn     = $("understood-btn");
+const needsReviewBtn    = $("needs-review-btn");
+
 const scoreSummaryEl   = $("score-summary");
+const examSummaryEl    = $("exam-summary");
 const reviewContainer  = $("review-container");
 
 
@@ -418,42 +608,136 @@ function showScreen(name) {
   startScreen.classList.add("hidden");
   quizScreen.classList.add("hidden");
   resultScreen.classList.add("hidden");
+  dashboardScreen.classList.add("hidden");
+  validationScreen.classList.add("hidden");
+  browseScreen.classList.add("hidden");
 
   if (name === "start") {
     startScreen.classList.remove("hidden");
+    updateQuizSourceStatus();
+    renderResumePanel();
   } else if (name === "quiz") {
     quizScreen.classList.remove("hidden");
   } else if (name === "result") {
     resultScreen.classList.remove("hidden");
+  } else if (name === "dashboard") {
+    dashboardScreen.classList.remove("hidden");
+  } else if (name === "validation") {
+    validationScreen.classList.remove("hidden");
+  } else if (name === "browse") {
+    browseScreen.classList.remove("hidden");
   }
 }
 
 
 /***********************
- * 問題バンクのロード（CSV）
+ * 問題バンクのロード（packs.json に並んだファイル）
  ***********************/
+// 同梱ファイルの取得に失敗したときのメッセージ（SW がオフラインでキャッシュも無いときは 503 を返す）
+function fetchErrorMessage(res) {
+  const offline = res.status === 503 && navigator.onLine === false;
+  return offline ? "オフラインで、キャッシュもありません" : `HTTP ${res.status}`;
+}
+
+async function loadPackManifest() {
+  const res = await fetch(PACK_MANIFEST_FILE);
+  if (!res.ok) throw new Error(fetchErrorMessage(res));
+  return readPackManifest(await res.json());
+}
+
 async function loadQuestionBank() {
-  loadStatus.textContent = "CSVファイルから問題を読み込んでいます…（file:// で開くと失敗します。簡易サーバー経由で開いてください）";
+  loadStatus.textContent = "問題データを読み込んでいます…（file:// で開くと失敗します。簡易サーバー経由で開いてください）";
 
-  const loaded = [];
+  const sources = [];
+  sourceErrors = [];
+
+  let packs = [];
+  try {
+    packs = await loadPackManifest();
+  } catch (e) {
+    console.error("問題データの一覧の読み込みエラー:", e);
+    sourceErrors.push({ file: PACK_MANIFEST_FILE, error: String(e?.message ?? e) });
+  }
+  packFiles = packs.map(p => p.file);
 
-  for (const file of CSV_FILES) {
+  for (const { file, format } of packs) {
     try {
       const res = await fetch(file);
       if (!res.ok) {
-        console.warn("CSV 読み込み失敗:", file, res.status);
+        console.warn("問題データ読み込み失敗:", file, res.status);
+        sourceErrors.push({ file, error: fetchErrorMessage(res) });
         continue;
       }
-      const text = await res.text();
-      const rows = parseCSV(text);
-      const qs   = buildQuestionsFromResultCsv(rows);
-      loaded.push(...qs);
+      const decoded = decodeQuestionSource(file, await res.arrayBuffer(), format);
+      sources.push({ file, ...decoded, origin: "bundled" });
+    } catch (e) {
+      console.error("問題データ読み込みエラー:", file, e);
+      sourceErrors.push({ file, error: String(e?.message ?? e) });
+    }
+  }
+
+  // 取り込み済みの CSV（IndexedDB）も後ろに足す
+  const imported = await loadImportedFiles();
+  imported
+    .sort((a, b) => String(a.importedAt).localeCompare(String(b.importedAt)))
+    .forEach(r => sources.push({ file: r.file, text: r.text, format: r.format || "result-csv", origin: "imported" }));
+
+  questionSources = sources;
+  rebuildQuestionBank();
+  renderImportedList();
+  requestSourceCaching();
+}
+
+/**
+ * questionSources から allQuestions を作り直す。
+ *   - 先に読んだファイルの問題を優先し、同じ id の問題は後のファイルからは読まない（重複として報告）
+ *   - 問題パックに入っている解説は packExplanationsById に集める
+ */
+function rebuildQuestionBank() {
+  const loaded = [];
+  const seenIds = new Set();
+  // ファイルごとの読み込み結果（#load-status に一覧表示する）
+  const fileReports = [...sourceErrors];
+  // 公式サイトでの回答は、重複 ID の行の分も履歴に入れる（別の回の回答なので）
+  const pastAnswered = [];
+  const explanations = {};
+
+  for (const src of questionSources) {
+    let parsed;
+    try {
+      parsed = parseQuestionSource(src);
     } catch (e) {
-      console.error("CSV 読み込みエラー:", file, e);
+      // 取り込み後に壊れた JSON など：そのファイルだけ読み込み失敗として扱う
+      fileReports.push({ file: src.file, origin: src.origin, error: String(e?.message ?? e) });
+      continue;
+    }
+    const { questions: qs, explanations: exps, report } = parsed;
+    pastAnswered.push(...qs.filter(q => q.pastAttempt));
+    exps.forEach(e => { if (!explanations[e.id]) explanations[e.id] = e; });
+
+    const duplicates = [];
+    for (const q of qs) {
+      if (seenIds.has(q.id)) {
+        duplicates.push(q.id);
+        continue;
+      }
+      seenIds.add(q.id);
+      loaded.push({ ...q, sourceFile: src.file });
     }
+
+    fileReports.push({
+      file: src.file,
+      origin: src.origin,
+      format: src.format,
+      count: qs.length - duplicates.length,
+      duplicates,
+      ...report,
+    });
   }
 
   allQuestions = loaded;
+  packExplanationsById = explanations;
+  const seededCount = seedHistoryFromQuestions(pastAnswered);
 
   // id→問題（元データ）マップを作成
   allQuestionsById = {};
@@ -461,306 +745,2149 @@ async function loadQuestionBank() {
     if (q && q.id) allQuestionsById[q.id] = q;
   }
 
+  let summary;
   if (allQuestions.length === 0) {
-    loadStatus.textContent = "有効な問題が1件も読み込めませんでした。CSVファイルの配置と内容を確認してください。";
+    summary = "有効な問題が1件も読み込めませんでした。packs.json と問題データの配置・内容を確認してください。";
     startBtn.disabled = true;
   } else {
-    loadStatus.textContent = `読み込み完了：${allQuestions.length}問。［テストを開始する］でランダムに${QUESTIONS_PER_QUIZ}問を出題します。`;
+    summary = `読み込み完了：${allQuestions.length}問。出題条件を選んで［テストを開始する］を押してください。`;
+    if (seededCount > 0) summary += `（CSV にある過去の回答 ${seededCount}件を回答履歴に取り込みました）`;
     startBtn.disabled = false;
   }
+
+  loadStatus.innerHTML = `${escapeHTML(summary)}${renderLoadReport(fileReports)}`;
+  renderQuizFilters();
+  updateQuizSourceStatus();
+  renderResumePanel();
+
+  return fileReports;
+}
+
+/**
+ * ファイルごとの読み込みレポート（HTML）
+ *   - 読み込めなかったファイル
+ *   - 必須列の不足（そのファイルは 0 問になる）
+ *   - スキーマにない列（読み飛ばしただけなので注意表示のみ）
+ *   - CSV の書式の誤り（件数と最初の位置のみ。詳細は検証画面）
+ *   - 設問文の選ぶ数と正答の数の食い違い（件数のみ。詳細は検証画面）
+ */
+function renderLoadReport(fileReports) {
+  if (fileReports.length === 0) return "";
+
+  let html = `<ul class="load-report">`;
+  for (const r of fileReports) {
+    // 結果CSV 以外は形式も出す（例：「問題パック・取り込み」）
+    const tags = [
+      r.format && r.format !== "result-csv" ? getSourceAdapter(r.format)?.label : "",
+      r.origin === "imported" ? "取り込み" : "",
+    ].filter(Boolean);
+    html += `<li><code>${escapeHTML(r.file)}</code>${tags.length ? `（${escapeHTML(tags.join("・"))}）` : ""}：`;
+    if (r.error) {
+      html += `<span class="ng">読み込み失敗（${escapeHTML(r.error)}）</span>`;
+    } else {
+      html += `${r.count}問`;
+      if (r.missing.length > 0) {
+        html += `<br><span class="ng">必須列が見つかりません：${escapeHTML(r.missing.join("、"))}</span>`;
+      }
+      if (r.unknown.length > 0) {
+        html += `<br><span class="muted">未対応の列（無視しました）：${escapeHTML(r.unknown.join("、"))}</span>`;
+      }
+      if (r.parseErrors?.length > 0) {
+        const first = r.parseErrors[0];
+        html += `<br><span class="ng">CSV の書式の誤り：${r.parseErrors.length}件（最初は ${first.line}行目 ${first.column}文字目。詳細は［問題データの検証］）</span>`;
+      }
+      if (r.skipped.length > 0) {
+        html += `<br><span class="ng">問題にできなかった行：${r.skipped.length}行（詳細は［問題データの検証］）</span>`;
+      }
+      if (r.selectionMismatches?.length > 0) {
+        html += `<br><span class="ng">設問文の選ぶ数と正答の数が合わない問題：${r.selectionMismatches.length}問（詳細は［問題データの検証］）</span>`;
+      }
+      if (r.duplicates.length > 0) {
+        html += `<br><span class="ng">重複ID（先に読んだ問題を優先してスキップ）：${escapeHTML(r.duplicates.join(", "))}</span>`;
+      }
+    }
+    html += `</li>`;
+  }
+  html += `</ul>`;
+  return html;
 }
 
 
 /***********************
- * クイズ開始
+ * 問題データの取り込み（ドラッグ＆ドロップ / ファイル選択）
+ *   - 形式はファイル名と中身から判定する（question-sources.js の SOURCE_ADAPTERS）
+ *   - 文字コードを変換したテキストと形式を IndexedDB に保存する
  ***********************/
-function startQuiz() {
-  if (!allQuestions || allQuestions.length === 0) return;
+async function importQuestionFiles(fileList) {
+  const files = Array.from(fileList || []).filter(f => /\.(csv|tsv|txt|json)$/i.test(f.name) || f.type === "text/csv");
+  if (files.length === 0) {
+    importStatusEl.textContent = "問題データのファイル（CSV / TSV / JSON）が選択されていません。";
+    return;
+  }
 
-  // 出題問題を抽出（最近出ていないもの優先）
-  const picked = pickQuestions(allQuestions, QUESTIONS_PER_QUIZ);
+  const messages = [];
 
-  // 画面表示用に、選択肢の順番だけ毎回シャッフル
-  currentQuizQuestions = picked.map(q => ({
-    ...q,
-    choices: shuffleArray(q.choices) // ★ 選択肢の順番を毎回ランダム化
-  }));
+  for (const f of files) {
+    try {
+      const { format, text } = decodeQuestionSource(f.name, await f.arrayBuffer());
+      const { questions, report } = parseQuestionSource({ file: f.name, text, format });
+
+      // 問題が 1 件も作れないファイルは保存しない（列名違いなど）
+      if (questions.length === 0) {
+        const reason = report.missing.length > 0
+          ? `必須列が見つかりません：${report.missing.join("、")}`
+          : "有効な問題がありません";
+        messages.push(`${f.name}：取り込みませんでした（${reason}）`);
+        continue;
+      }
 
-  currentIndex = 0;
-  userAnswers = currentQuizQuestions.map(() => []); // 各問題ごとに「選んだ choiceIndex 配列」
-  questionStates = currentQuizQuestions.map(() => ({
-    graded: false,
-    explained: false,
-    isCorrect: false,
-  }));
-  scoreCount = 0;
+      const isBundled = packFiles.includes(f.name);
+      const record = {
+        // 同梱ファイルと同名だと同梱側の再取得と紛らわしいので、名前を変えて保存する
+        file: isBundled ? `imported-${f.name}` : f.name,
+        text,
+        format,
+        importedAt: new Date().toISOString(),
+      };
+
+      // 他のファイルと ID がすべて重複している（= 新しい問題が無い）なら保存しない
+      const otherIds = new Set(
+        allQuestions
+          .filter(q => q.sourceFile !== record.file)
+          .map(q => q.id)
+      );
+      if (questions.every(q => otherIds.has(q.id))) {
+        messages.push(`${f.name}：取り込みませんでした（すべて既存の問題と ID が重複しています）`);
+        continue;
+      }
 
-  showScreen("quiz");
-  renderCurrentQuestion();
-}
+      await saveImportedFile(record);
+
+      const src = { file: record.file, text, format, origin: "imported" };
+      const pos = questionSources.findIndex(s => s.origin === "imported" && s.file === record.file);
+      if (pos >= 0) {
+        questionSources[pos] = src;
+      } else {
+        questionSources.push(src);
+      }
+      messages.push(`${record.file}：${questions.length}問を取り込みました`);
+    } catch (e) {
+      console.error("問題データ取り込みエラー:", f.name, e);
+      messages.push(`${f.name}：取り込みに失敗しました（${e?.message ?? e}）`);
+    }
+  }
 
+  const fileReports = rebuildQuestionBank();
+  renderImportedList();
 
-/***********************
- * 現在の問題を描画
- ***********************/
-function renderCurrentQuestion() {
-  const total = currentQuizQuestions.length;
-  const q = currentQuizQuestions[currentIndex];
-  const state = questionStates[currentIndex];
-  const selectedIndexes = new Set(userAnswers[currentIndex]); // 0..choices.length-1
+  // 重複でスキップされた問題があれば、取り込み結果にも出しておく
+  const dupTotal = fileReports
+    .filter(r => r.origin === "imported")
+    .reduce((sum, r) => sum + (r.duplicates?.length ?? 0), 0);
+  if (dupTotal > 0) messages.push(`既存の問題と ID が重複した ${dupTotal} 問はスキップしました`);
 
-  questionNumberEl.textContent = `第 ${currentIndex + 1} 問 / 全 ${total} 問（問題ID：${q.id}）`;
-  categoryLabelEl.textContent = q.category || "カテゴリ未設定";
-  questionTextEl.innerHTML = escapeHTML(q.text);
+  importStatusEl.textContent = messages.join(" / ");
+}
 
-  // 複数選択可の表示
-  if (q.isMultiple) {
-    categoryLabelEl.textContent += "（複数選択可）";
+async function removeImportedFile(file) {
+  try {
+    await deleteImportedFile(file);
+  } catch (e) {
+    console.error("取り込み CSV の削除に失敗:", file, e);
+    importStatusEl.textContent = `${file} を削除できませんでした。`;
+    return;
   }
+  questionSources = questionSources.filter(s => !(s.origin === "imported" && s.file === file));
+  rebuildQuestionBank();
+  renderImportedList();
+  importStatusEl.textContent = `${file} を削除しました。`;
+}
 
-  // 進捗バー（「何問目まで到達したか」をざっくり表示）
-  const progressPercent = (currentIndex / total) * 100;
-  progressBarEl.style.width = `${progressPercent}%`;
+function renderImportedList() {
+  if (!importedListEl) return;
+  importedListEl.innerHTML = "";
 
-  // フィードバック（採点結果・解説表示エリア）をリセット
-  feedbackEl.innerHTML = "";
+  questionSources
+    .filter(s => s.origin === "imported")
+    .forEach(s => {
+      const li = document.createElement("li");
+      li.innerHTML = `<code>${escapeHTML(s.file)}</code> `;
 
-  // 選択肢ボタンの描画
-  choicesContainer.innerHTML = "";
-  q.choices.forEach((choice, idx) => {
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className = "choice-btn";
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "secondary-btn small-btn";
+      btn.textContent = "削除";
+      btn.addEventListener("click", () => removeImportedFile(s.file));
 
-    const label = indexToLabel(idx); // A/B/C/D を「画面表示用」にその場で割り振る
-    btn.dataset.index = String(idx);
-    btn.dataset.label = label;
+      li.appendChild(btn);
+      importedListEl.appendChild(li);
+    });
+}
 
-    const text = `[${label}] ${choice.text}`;
-    btn.innerHTML = escapeHTML(text);
+function setupImportPanel() {
+  if (!importDropZone || !importInput) return;
 
-    if (selectedIndexes.has(idx)) {
-      btn.classList.add("selected");
-    }
+  importInput.addEventListener("change", () => {
+    importQuestionFiles(importInput.files);
+    importInput.value = ""; // 同じファイルを続けて選び直せるように
+  });
 
-    btn.addEventListener("click", () => {
-      toggleChoiceSelection(idx);
+  ["dragenter", "dragover"].forEach(type => {
+    importDropZone.addEventListener(type, (e) => {
+      e.preventDefault();
+      importDropZone.classList.add("dragover");
     });
-
-    choicesContainer.appendChild(btn);
   });
-
-  const hasSelection = selectedIndexes.size > 0;
-
-  if (!state.graded) {
-    gradeBtn.disabled = !hasSelection;  // 何か1つ以上選ばれていれば採点可能
-    explainBtn.disabled = true;
-    nextBtn.disabled = true;
-  } else {
-    gradeBtn.disabled = true;
-    explainBtn.disabled = state.explained;
-    nextBtn.disabled = !state.explained;
-  }
-
-  if (copyEditBtn) copyEditBtn.disabled = false;
+  ["dragleave", "drop"].forEach(type => {
+    importDropZone.addEventListener(type, (e) => {
+      e.preventDefault();
+      importDropZone.classList.remove("dragover");
+    });
+  });
+  importDropZone.addEventListener("drop", (e) => {
+    importQuestionFiles(e.dataTransfer?.files);
+  });
 }
 
 
 /***********************
- * 選択肢クリック
- *  - 単一問題：ラジオボタン的に 1 つだけ保持
- *  - 複数問題：チェックボックス的にトグル
+ * 出題条件（スタート画面）
+ *   - 出題元：all（全問題）/ mistakes（回答履歴で間違えた問題だけ）
+ *   - 絞り込み：カテゴリ / 練習問題セット / 対応試験
+ *   - 問題数
  ***********************/
-function toggleChoiceSelection(choiceIndex) {
-  const q = currentQuizQuestions[currentIndex];
-  const arr = userAnswers[currentIndex];
-  const idx = Number(choiceIndex);
-
-  if (!q.isMultiple) {
-    // 単一選択：1つに置き換える
-    userAnswers[currentIndex] = [idx];
-  } else {
-    // 複数選択：トグル
-    const pos = arr.indexOf(idx);
-    if (pos >= 0) {
-      arr.splice(pos, 1);
-    } else {
-      arr.push(idx);
-    }
-    userAnswers[currentIndex] = arr;
+// 絞り込みに使う項目（question のプロパティ名 → 画面表示）
+const FILTER_FIELDS = [
+  { key: "category",     elId: "filter-category",     label: v => v || "カテゴリ未設定" },
+  { key: "setNo",        elId: "filter-setNo",        label: v => v ? `セット${v}` : "セット不明" },
+  { key: "examRevision", elId: "filter-examRevision", label: v => v || "対応試験不明" },
+];
+
+// 問題バンクに含まれる値の一覧でチェックボックスを作り直す
+function renderQuizFilters() {
+  for (const field of FILTER_FIELDS) {
+    const el = $(field.elId);
+    if (!el) continue;
+
+    const values = Array.from(new Set(allQuestions.map(q => q[field.key] ?? "")))
+      .sort((a, b) => a.localeCompare(b, "ja", { numeric: true }));
+    const excluded = new Set(quizSettings.exclude[field.key] || []);
+
+    el.innerHTML = "";
+    values.forEach(value => {
+      const count = allQuestions.filter(q => (q[field.key] ?? "") === value).length;
+
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = value;
+      input.checked = !excluded.has(value);
+      input.addEventListener("change", () => onFilterChange(field.key, el));
+
+      label.appendChild(input);
+      label.append(` ${field.label(value)}（${count}）`);
+      el.appendChild(label);
+    });
   }
+}
 
-  renderCurrentQuestion();
+function onFilterChange(key, el) {
+  quizSettings.exclude[key] = Array.from(el.querySelectorAll("input[type=checkbox]"))
+    .filter(input => !input.checked)
+    .map(input => input.value);
+  saveSettings(quizSettings);
+  updateQuizSourceStatus();
+}
+
+// 画面の入力値 → quizSettings
+function readQuizConfigInputs() {
+  const checked = document.querySelector('input[name="quiz-source"]:checked');
+  quizSettings.source = checked ? checked.value : "all";
+
+  const w = Number(mistakeWindowInput?.value);
+  quizSettings.mistakeWindow = Number.isInteger(w) && w > 0 ? w : DEFAULT_MISTAKE_WINDOW;
+
+  const c = Number(questionCountInput?.value);
+  quizSettings.questionCount = Number.isInteger(c) && c > 0 ? c : QUESTIONS_PER_QUIZ;
+
+  const mode = document.querySelector('input[name="quiz-mode"]:checked');
+  quizSettings.mode = mode ? mode.value : "practice";
+
+  const scoring = document.querySelector('input[name="quiz-scoring"]:checked');
+  quizSettings.scoring = scoring && SCORING_POLICIES[scoring.value] ? scoring.value : "strict";
+
+  if (showSelectionHintInput) quizSettings.showSelectionHint = showSelectionHintInput.checked;
+
+  const ec = Number(examCountInput?.value);
+  quizSettings.examQuestionCount = Number.isInteger(ec) && ec > 0 ? ec : EXAM_DEFAULT_QUESTION_COUNT;
+
+  const em = Number(examMinutesInput?.value);
+  quizSettings.examMinutes = em > 0 ? em : EXAM_DEFAULT_MINUTES;
+
+  const ep = Number(examPassInput?.value);
+  quizSettings.examPassPercent = ep > 0 && ep <= 100 ? ep : EXAM_DEFAULT_PASS_PERCENT;
+
+  saveSettings(quizSettings);
+}
+
+// quizSettings → 画面の入力値（起動時）
+function applyQuizConfigInputs() {
+  const radio = document.querySelector(`input[name="quiz-source"][value="${quizSettings.source}"]`);
+  if (radio) radio.checked = true;
+  if (mistakeWindowInput) mistakeWindowInput.value = String(quizSettings.mistakeWindow);
+  if (questionCountInput) questionCountInput.value = String(quizSettings.questionCount);
+
+  const mode = document.querySelector(`input[name="quiz-mode"][value="${quizSettings.mode}"]`);
+  if (mode) mode.checked = true;
+  const scoring = document.querySelector(`input[name="quiz-scoring"][value="${quizSettings.scoring}"]`);
+  if (scoring) scoring.checked = true;
+  if (showSelectionHintInput) showSelectionHintInput.checked = quizSettings.showSelectionHint !== false;
+  if (examCountInput) examCountInput.value = String(quizSettings.examQuestionCount);
+  if (examMinutesInput) examMinutesInput.value = String(quizSettings.examMinutes);
+  if (examPassInput) examPassInput.value = String(quizSettings.examPassPercent);
+}
+
+// 今の設定での出題数
+function getQuizQuestionCount() {
+  return quizSettings.mode === "exam" ? quizSettings.examQuestionCount : quizSettings.questionCount;
+}
+
+// 絞り込み条件に合う問題だけ残す
+function applyQuizFilters(questions) {
+  return questions.filter(q =>
+    FILTER_FIELDS.every(f => !(quizSettings.exclude[f.key] || []).includes(q[f.key] ?? ""))
+  );
+}
+
+// 出題元・絞り込みに応じた問題プール
+function buildQuestionPool() {
+  const source = quizSettings.source === "mistakes"
+    ? pickMistakeQuestions(allQuestions, quizSettings.mistakeWindow)
+    : quizSettings.source === "bookmarks"
+      ? pickBookmarkedQuestions(allQuestions)
+      : allQuestions;
+  return applyQuizFilters(source);
+}
+
+function updateQuizSourceStatus() {
+  if (mistakeCountEl) {
+    const count = applyQuizFilters(pickMistakeQuestions(allQuestions, quizSettings.mistakeWindow)).length;
+    mistakeCountEl.textContent = `（対象：${count}問）`;
+  }
+  if (bookmarkCountEl) {
+    bookmarkCountEl.textContent = `（対象：${applyQuizFilters(pickBookmarkedQuestions(allQuestions)).length}問）`;
+  }
+
+  const poolSize = buildQuestionPool().length;
+  const n = Math.min(getQuizQuestionCount(), poolSize);
+  if (poolCountEl) poolCountEl.textContent = `出題対象：${poolSize}問`;
+
+  const isExam = quizSettings.mode === "exam";
+  if (practiceConfigEl) practiceConfigEl.classList.toggle("hidden", isExam);
+  if (examConfigEl) examConfigEl.classList.toggle("hidden", !isExam);
+  startBtn.textContent = isExam
+    ? `模擬試験を開始する（${n}問・${quizSettings.examMinutes}分）`
+    : quizSettings.mode === "study"
+      ? `学習を始める（${n}問）`
+      : `テストを開始する（${n}問）`;
+
+  if (allQuestions.length > 0) {
+    startBtn.disabled = poolSize === 0;
+  }
+}
+
+function setupQuizConfig() {
+  quizSettings = loadSettings();
+  applyQuizConfigInputs();
+
+  document.querySelectorAll('input[name="quiz-source"], input[name="quiz-mode"], input[name="quiz-scoring"], #show-selection-hint').forEach(el => {
+    el.addEventListener("change", () => {
+      readQuizConfigInputs();
+      updateQuizSourceStatus();
+    });
+  });
+  [mistakeWindowInput, questionCountInput, examCountInput, examMinutesInput, examPassInput].forEach(el => {
+    if (!el) return;
+    el.addEventListener("input", () => {
+      readQuizConfigInputs();
+      updateQuizSourceStatus();
+    });
+  });
+}
+
+
+/***********************
+ * 解答途中のセッション（ローカルストレージ）
+ * 目的：スマホで PWA を閉じても、次に開いたときに続きから再開できるようにする
+ *   - 選択・採点・移動のたびに保存し、結果画面に進んだら消す
+ *   - 再開しない場合は、pickQuestions で数えた「出題済み」を未採点の問題だけ元に戻す
+ ***********************/
+const SESSION_KEY = "kintone_quiz_session_v1";
+
+/**
+ * session = {
+ *   mode: "practice" | "exam",
+ *   scoring: "strict" | "partial" | "penalty",
+ *   questions: [{ id, choiceOrder: [choice.id] }],  // 出題順とシャッフル後の選択肢の並び
+ *   seed: number | null,                             // 選択肢の並びを決めた種（共有リンク用）
+ *   currentIndex: number,
+ *   userAnswers: [[choiceIndex]],
+ *   questionStates: [{ graded, explained, isCorrect, score, flagged }],
+ *   scoreCount: number,
+ *   exam: { startedAt, deadline } | null,
+ *   statsBefore: {                                   // 抽出前の stats（巻き戻し用）
+ *     quizRun: number,
+ *     byId: { [id]: { seen, lastSeen } },
+ *   },
+ *   savedAt: number,
+ * }
+ */
+function loadQuizSession() {
+  try {
+    const raw = localStorage.getItem(SESSION_KEY);
+    if (!raw) return null;
+    const data = JSON.parse(raw);
+    if (!data || !Array.isArray(data.questions) || data.questions.length === 0) return null;
+    if (!Array.isArray(data.userAnswers) || !Array.isArray(data.questionStates)) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+function saveQuizSession(session) {
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch {
+    // ignore
+  }
+}
+
+function clearQuizSession() {
+  try {
+    localStorage.removeItem(SESSION_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+// 抽出前の stats から、出題する問題の seen / lastSeen だけを控えておく
+function snapshotStatsForSession(stats, ids) {
+  const byId = {};
+  ids.forEach(id => {
+    const s = getStat(stats, id);
+    byId[id] = { seen: s.seen || 0, lastSeen: (typeof s.lastSeen === "number") ? s.lastSeen : -1 };
+  });
+  return { quizRun: stats.quizRun || 0, byId };
+}
+
+/**
+ * 再開しないセッションの「出題済み」を巻き戻す
+ *   - 採点していない問題：seen / lastSeen を抽出前に戻す（間隔反復の状態は採点でしか変わらない）
+ *   - 1 問も採点していない：quizRun も戻す（その後に別の回が始まっていない場合だけ）
+ */
+function rollbackQuizSession(session) {
+  const before = session.statsBefore;
+  if (!before || !before.byId) return;
+
+  const stats = loadQuizStats();
+  let gradedCount = 0;
+
+  session.questions.forEach(({ id }, i) => {
+    if (session.questionStates[i]?.graded) {
+      gradedCount++;
+      return;
+    }
+    const prev = before.byId[id];
+    const s = stats.byId[id];
+    if (!prev || !s) return;
+    setStat(stats, id, { ...s, seen: prev.seen, lastSeen: prev.lastSeen });
+  });
+
+  if (gradedCount === 0 && stats.quizRun === before.quizRun + 1) {
+    stats.quizRun = before.quizRun;
+  }
+  saveQuizStats(stats);
+}
+
+// いまの出題状態をセッションとして保存する
+function persistCurrentSession() {
+  // 学習は採点しないので、途中で閉じても再開の対象にしない
+  if (currentQuizQuestions.length === 0 || quizMode === "study") return;
+  saveQuizSession({
+    mode: quizMode,
+    scoring: quizScoring,
+    questions: currentQuizQuestions.map(q => ({ id: q.id, choiceOrder: q.choices.map(c => c.id) })),
+    seed: currentQuizSeed,
+    currentIndex,
+    userAnswers,
+    questionStates,
+    scoreCount,
+    exam: examState ? { startedAt: examState.startedAt, deadline: examState.deadline } : null,
+    statsBefore: currentSessionStatsBefore,
+    savedAt: Date.now(),
+  });
+}
+
+/**
+ * 保存されたセッションを、いまの問題バンクで組み立て直す
+ *   - 問題が消えた・選択肢が変わった問題は外す（回答と状態も一緒に外す）
+ */
+function restoreQuizSession(session) {
+  const questions = [];
+  const answers = [];
+  const states = [];
+  let dropped = 0;
+
+  session.questions.forEach(({ id, choiceOrder }, i) => {
+    const q = allQuestionsById[id];
+    const choiceById = new Map((q?.choices || []).map(c => [c.id, c]));
+    const ok = q
+      && Array.isArray(choiceOrder)
+      && choiceOrder.length === q.choices.length
+      && choiceOrder.every(cid => choiceById.has(cid));
+    if (!ok) {
+      dropped++;
+      return;
+    }
+    questions.push({ ...q, choices: choiceOrder.map(cid => choiceById.get(cid)) });
+    answers.push((session.userAnswers[i] || []).filter(k => Number.isInteger(k) && k < q.choices.length));
+    states.push({ graded: false, explained: false, isCorrect: false, flagged: false, ...session.questionStates[i] });
+  });
+
+  return { questions, answers, states, dropped };
+}
+
+// スタート画面の「前回の続き」表示
+function renderResumePanel() {
+  if (!resumePanelEl) return;
+  const session = loadQuizSession();
+  // 問題バンクがまだ読めていないうちは再開できないので出さない
+  if (!session || allQuestions.length === 0) {
+    resumePanelEl.classList.add("hidden");
+    return;
+  }
+
+  const total = session.questions.length;
+  const gradedCount = session.questionStates.filter(st => st?.graded).length;
+  const answeredCount = session.userAnswers.filter(a => Array.isArray(a) && a.length > 0).length;
+  const modeLabel = session.mode === "exam" ? "模擬試験" : "練習";
+  const progress = session.mode === "exam"
+    ? `回答済み ${answeredCount} / ${total} 問`
+    : `採点済み ${gradedCount} / ${total} 問`;
+  const savedAt = new Date(session.savedAt || Date.now()).toLocaleString("ja-JP");
+
+  resumeInfoEl.textContent = `前回の${modeLabel}が途中です（${progress}・${savedAt}）。`;
+  resumePanelEl.classList.remove("hidden");
+}
+
+function resumeQuizSession() {
+  const session = loadQuizSession();
+  if (!session) {
+    renderResumePanel();
+    return;
+  }
+
+  const { questions, answers, states, dropped } = restoreQuizSession(session);
+  if (questions.length === 0) {
+    alert("前回の問題が問題データに見つからないため、再開できません。");
+    discardQuizSession();
+    return;
+  }
+  if (dropped > 0) {
+    alert(`問題データが変わったため、${dropped}問を除いて再開します。`);
+  }
+
+  quizMode = session.mode === "exam" ? "exam" : "practice";
+  quizScoring = SCORING_POLICIES[session.scoring] ? session.scoring : "strict";
+  currentQuizQuestions = questions;
+  currentQuizSeed = Number.isInteger(session.seed) ? session.seed : null;
+  userAnswers = answers;
+  questionStates = states;
+  currentIndex = Math.min(Math.max(0, session.currentIndex || 0), questions.length - 1);
+  scoreCount = states.reduce((sum, st) => sum + (st.graded ? (st.score ?? (st.isCorrect ? 1 : 0)) : 0), 0);
+  currentSessionStatsBefore = session.statsBefore || null;
+  lastRenderedIndex = -1;
+
+  stopExamTimer();
+  examState = null;
+  if (quizMode === "exam" && session.exam) {
+    // 閉じていた間も試験時間は進んでいる扱い（締切が過ぎていれば即提出）
+    examState = {
+      startedAt: session.exam.startedAt,
+      deadline: session.exam.deadline,
+      finishedAt: null,
+      timerId: setInterval(tickExamTimer, 1000),
+    };
+  }
+
+  applyQuizModeLayout();
+  showScreen("quiz");
+  renderCurrentQuestion();
+  if (examState) tickExamTimer();
+}
+
+function discardQuizSession() {
+  const session = loadQuizSession();
+  if (session) rollbackQuizSession(session);
+  clearQuizSession();
+  currentSessionStatsBefore = null;
+  renderResumePanel();
+  updateQuizSourceStatus();
+}
+
+
+/***********************
+ * クイズ開始
+ ***********************/
+// 検索結果から出題したときの問題プール（「もう一度」で同じ範囲から出し直すため。null なら出題条件から作る）
+let customQuizPool = null;
+
+function startQuiz() {
+  customQuizPool = null;
+  startFromPool(buildQuestionPool(), getQuizQuestionCount());
+}
+
+// 検索結果の問題をすべて出題する
+function startCustomQuiz(questions) {
+  customQuizPool = questions.slice();
+  startFromPool(customQuizPool, customQuizPool.length);
+}
+
+function restartQuiz() {
+  if (customQuizPool) {
+    startFromPool(customQuizPool, customQuizPool.length);
+  } else {
+    startQuiz();
+  }
+}
+
+// 出題モードに合わせて始める（学習は採点しないので、出題統計を数える beginQuiz を通さない）
+function startFromPool(pool, count) {
+  if (quizSettings.mode === "study") {
+    startStudy(pickStudyQuestions(pool, count), 0, "start");
+    return;
+  }
+  beginQuiz(pool, count);
+}
+
+/**
+ * クイズを始める
+ *   link … 共有リンク（parseQuizLink の戻り値）から始めるとき。出題条件ではなくリンクの問題を出す
+ */
+function beginQuiz(pool, count, link = null) {
+  if (!pool || pool.length === 0) {
+    showScreen("start");
+    return;
+  }
+
+  // 前回の途中セッションが残っていれば、再開しないものとして巻き戻してから抽出する
+  const pending = loadQuizSession();
+  if (pending) {
+    rollbackQuizSession(pending);
+    clearQuizSession();
+  }
+
+  // 出題問題を抽出（最近出ていないもの優先。共有リンクならリンクの問題）
+  //   学習は startStudy で始めるので、ここに来るのは練習か模擬試験（学習モードのまま共有リンクを開いたときは練習）
+  quizMode = quizSettings.mode === "study" ? "practice" : quizSettings.mode;
+  quizScoring = quizSettings.scoring;
+  const statsBefore = loadQuizStats();
+  const picked = link ? pickLinkedQuestions(pool, link) : pickQuestions(pool, count);
+  currentSessionStatsBefore = snapshotStatsForSession(statsBefore, picked.map(q => q.id));
+
+  // 画面表示用に、選択肢の順番だけ毎回シャッフル（同じ種なら同じ並び）
+  currentQuizSeed = link?.seed ?? newQuizSeed();
+  currentQuizQuestions = picked.map(q => ({
+    ...q,
+    choices: shuffleChoices(q, currentQuizSeed) // ★ 選択肢の順番を毎回ランダム化
+  }));
+
+  currentIndex = 0;
+  userAnswers = currentQuizQuestions.map(() => []); // 各問題ごとに「選んだ choiceIndex 配列」
+  questionStates = currentQuizQuestions.map(() => ({
+    graded: false,
+    explained: false,
+    isCorrect: false,
+    score: 0,         // 採点方式による点数（0〜1）
+    flagged: false,   // 模擬試験：見直しフラグ
+  }));
+  scoreCount = 0;
+  lastRenderedIndex = -1;
+
+  stopExamTimer();
+  examState = null;
+  if (quizMode === "exam") {
+    const now = Date.now();
+    examState = {
+      startedAt: now,
+      deadline: now + quizSettings.examMinutes * 60 * 1000,
+      finishedAt: null,
+      timerId: setInterval(tickExamTimer, 1000),
+    };
+    tickExamTimer();
+  }
+
+  applyQuizModeLayout();
+  showScreen("quiz");
+  renderCurrentQuestion();
+}
+
+/***********************
+ * クイズの共有（?seed=…&ids=…&count=…）
+ *  - 結果画面の［このクイズを共有］で、同じ問題を同じ選択肢の順番で解けるリンクを作る
+ *  - リンクを開くと、問題データを読み込んだあとにそのクイズを始める
+ *  - 採点方式・出題モード（練習 / 模擬試験）は開いた人の設定を使う
+ ***********************/
+// 起動時に一度だけ呼ぶ（問題バンクを読み込んだあと）
+function startQuizFromLink() {
+  const link = parseQuizLink(location.search);
+  if (!link) return;
+
+  // 再読み込みで同じクイズが始まり直さないように、URL からパラメータを外す
+  history.replaceState(null, "", location.pathname + location.hash);
+
+  if (allQuestions.length === 0) return;
+  if (loadQuizSession() && !confirm("途中の問題があります。破棄して、リンクのクイズを始めますか？")) return;
+
+  const missing = link.ids.filter(id => !allQuestionsById[id]);
+  if (link.ids.length > 0 && missing.length === link.ids.length) {
+    alert("リンクの問題が問題データに見つからないため、出題できません。");
+    return;
+  }
+  if (missing.length > 0) {
+    alert(`リンクの問題のうち ${missing.length}問（${missing.join("、")}）が問題データに見つからないため、除いて出題します。`);
+  }
+
+  customQuizPool = null;
+  beginQuiz(allQuestions, link.count, {
+    ...link,
+    seed: link.seed ?? newQuizSeed(),
+    // 問題 ID も出題数もなければ、スタート画面の問題数だけ出す
+    count: link.count ?? (link.ids.length > 0 ? null : getQuizQuestionCount()),
+  });
+}
+
+// いまのクイズを再現するリンク
+function buildShareUrl() {
+  const url = new URL(location.href);
+  url.search = buildQuizLink({
+    seed: currentQuizSeed,
+    ids: currentQuizQuestions.map(q => q.id),
+    count: currentQuizQuestions.length,
+  });
+  url.hash = "";
+  return url.href;
+}
+
+async function shareCurrentQuiz() {
+  if (currentQuizSeed === null || currentQuizQuestions.length === 0) return;
+
+  const url = buildShareUrl();
+  const ok = await copyTextToClipboard(url);
+  const msg = ok
+    ? "リンクをコピーしました。開いた人は同じ問題を同じ選択肢の順番で解けます。"
+    : "コピーに失敗しました。下のリンクを選択してコピーしてください。";
+  shareStatusEl.innerHTML = `<p>${escapeHTML(msg)}</p>`
+    + `<input type="text" class="share-url" readonly value="${escapeHTML(url)}" aria-label="共有リンク">`;
+  shareStatusEl.classList.remove("hidden");
+}
+
+// 練習 / 模擬試験 / 学習でボタン類の出し分けをする
+function applyQuizModeLayout() {
+  const isExam = quizMode === "exam";
+  const isStudy = quizMode === "study";
+
+  // 模擬試験中は「採点」「解説」と、正解が載る「解説修正用にコピー」を隠す
+  [copyEditBtn, editExplainBtn].forEach(el => el?.classList.toggle("hidden", isExam));
+  if (isExam) closeExplanationEditor();
+  [flagBtn, submitBtn, examTimerEl, paletteEl].forEach(el => el?.classList.toggle("hidden", !isExam));
+  gradeBtn?.classList.toggle("hidden", isExam || isStudy);
+  explainBtn?.classList.toggle("hidden", isExam);
+  prevBtn?.classList.toggle("hidden", !isExam && !isStudy);
+  [studyBackBtn, revealBtn, understoodBtn, needsReviewBtn].forEach(el => el?.classList.toggle("hidden", !isStudy));
+}
+
+
+/***********************
+ * 学習（答えと解説を見ながら読み進める）
+ *  - 「答えを見る」「解説」で好きなときに正解・解説を出し、前後に自由に移動できる
+ *  - 採点しないので、出題統計・回答履歴は変えない（「理解した」「要復習」の印だけ残す）
+ *  - 選択肢はシャッフルせず元の順番で出す
+ ***********************/
+const STUDY_MARK_LABELS = {
+  understood: "理解した",
+  review: "要復習",
+};
+
+// 学習を閉じたときに戻る画面
+let studyReturnScreen = "browse";
+
+function startStudy(questions, startIndex = 0, returnScreen = "browse") {
+  if (!questions || questions.length === 0) return;
+
+  quizMode = "study";
+  studyReturnScreen = returnScreen;
+  currentQuizQuestions = questions.map(q => ({ ...q }));
+  currentQuizSeed = null;
+  currentIndex = Math.min(Math.max(0, startIndex), questions.length - 1);
+  userAnswers = currentQuizQuestions.map(() => []);
+  questionStates = currentQuizQuestions.map(() => ({
+    graded: false,
+    explained: false,
+    isCorrect: false,
+    score: 0,
+    flagged: false,
+    revealed: false,  // 学習：正解を表示したか
+  }));
+  scoreCount = 0;
+  lastRenderedIndex = -1;
+
+  stopExamTimer();
+  examState = null;
+
+  if (studyBackBtn) studyBackBtn.textContent = returnScreen === "browse" ? "一覧に戻る" : "学習を終える";
+  applyQuizModeLayout();
+  showScreen("quiz");
+  renderCurrentQuestion();
+}
+
+function revealAnswer() {
+  const state = questionStates[currentIndex];
+  if (quizMode !== "study" || state.revealed) return;
+
+  state.revealed = true;
+  renderCurrentQuestion();
+  explainBtn.focus();
+}
+
+// 今の問題に「理解した」「要復習」の印を付ける（同じ印をもう一度押すと外す）
+function toggleStudyMark(mark) {
+  const q = currentQuizQuestions[currentIndex];
+  if (!q) return;
+  const current = getStat(loadQuizStats(), q.id).studyMark;
+  setStudyMark(q.id, current === mark ? null : mark);
+  renderCurrentQuestion();
+}
+
+function renderStudyControls() {
+  const q = currentQuizQuestions[currentIndex];
+  const state = questionStates[currentIndex];
+  const mark = getStat(loadQuizStats(), q.id).studyMark;
+
+  prevBtn.disabled = currentIndex === 0;
+  nextBtn.disabled = currentIndex === currentQuizQuestions.length - 1;
+  revealBtn.disabled = state.revealed;
+  explainBtn.disabled = state.explained;
+
+  [[understoodBtn, "understood"], [needsReviewBtn, "review"]].forEach(([btn, value]) => {
+    if (!btn) return;
+    btn.classList.toggle("active", mark === value);
+    btn.setAttribute("aria-pressed", String(mark === value));
+  });
+}
+
+function closeStudy() {
+  if (studyReturnScreen === "browse") {
+    showBrowse();
+  } else {
+    showScreen(studyReturnScreen);
+  }
+}
+
+
+/***********************
+ * 現在の問題を描画
+ ***********************/
+function renderCurrentQuestion() {
+  const total = currentQuizQuestions.length;
+  const q = currentQuizQuestions[currentIndex];
+  const state = questionStates[currentIndex];
+  const selectedIndexes = new Set(userAnswers[currentIndex]); // 0..choices.length-1
+
+  // 描き直しでボタンが作り直されるので、フォーカスしていた選択肢を覚えておく
+  const focusedChoice = document.activeElement?.closest?.(".choice-btn")?.dataset.index;
+  const isNewQuestion = lastRenderedIndex !== currentIndex;
+  lastRenderedIndex = currentIndex;
+
+  // 選択・採点・移動のあとは必ずここを通るので、ここで途中経過を保存する
+  persistCurrentSession();
+
+  questionNumberEl.textContent = `第 ${currentIndex + 1} 問 / 全 ${total} 問（問題ID：${q.id}）`;
+  categoryLabelEl.textContent = q.category || "カテゴリ未設定";
+  questionTextEl.innerHTML = escapeHTML(q.text);
+
+  // 複数選択のヒント（選ぶ数が分かっていれば、いくつ選んだかも出す）
+  const selection = selectionModeOf(q);
+  const hint = state.revealed ? "" : selectionHintText(q, selection, selectedIndexes.size);
+  if (hint) categoryLabelEl.textContent += hint;
+
+  // 進捗バー（「何問目まで到達したか」をざっくり表示）
+  const progressPercent = (currentIndex / total) * 100;
+  progressBarEl.style.width = `${progressPercent}%`;
+
+  // フィードバック（採点結果・解説表示エリア）は状態から描き直す
+  feedbackEl.innerHTML = renderFeedback(currentIndex);
+
+  // ブックマーク・メモ（入力中のメモは描き直しで消さない）
+  const personal = getQuestionNote(q.id);
+  renderBookmarkButton(bookmarkBtn, personal.bookmarked);
+  if (noteInput && (isNewQuestion || document.activeElement !== noteInput)) {
+    noteInput.value = personal.note;
+    noteInput.dataset.qid = q.id;
+  }
+
+  // 選択肢ボタンの描画
+  //  - 単一選択は radiogroup/radio、複数選択は group/checkbox として読み上げさせる
+  // 学習で何も選ばずに答えを見たときは、正解の選択肢だけ印を付ける
+  const marks = state.revealed && selectedIndexes.size === 0
+    ? q.choices.map(c => (c.isCorrect ? "correct" : ""))
+    : (state.graded || state.revealed) ? scoreAnswer(q, [...selectedIndexes], quizScoring).marks : [];
+  choicesContainer.innerHTML = "";
+  choicesContainer.setAttribute("role", selection.multiple ? "group" : "radiogroup");
+  choicesContainer.setAttribute("aria-labelledby", "question-text");
+  q.choices.forEach((choice, idx) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "choice-btn";
+    btn.setAttribute("role", selection.multiple ? "checkbox" : "radio");
+    btn.setAttribute("aria-checked", String(selectedIndexes.has(idx)));
+
+    const label = indexToLabel(idx); // A/B/C/D を「画面表示用」にその場で割り振る
+    btn.dataset.index = String(idx);
+    btn.dataset.label = label;
+
+    const text = `[${label}] ${choice.text}`;
+    btn.innerHTML = escapeHTML(text);
+
+    if (selectedIndexes.has(idx)) {
+      btn.classList.add("selected");
+    }
+
+    // 採点済み（学習では答えを表示済み）：選べた正解 / 選び漏れ / 誤って選んだもの を色分けして、選び直せないようにする
+    if (state.graded || state.revealed) {
+      btn.disabled = true;
+      const mark = marks[idx];
+      if (mark) {
+        btn.classList.add(mark);
+        btn.insertAdjacentHTML("beforeend", ` <span class="choice-mark">${CHOICE_MARK_LABELS[mark]}</span>`);
+      }
+    }
+
+    btn.addEventListener("click", () => {
+      toggleChoiceSelection(idx);
+    });
+
+    choicesContainer.appendChild(btn);
+  });
+
+  // フォーカス：問題が変わったら問題文へ、同じ問題の描き直しなら同じ選択肢へ戻す
+  if (isNewQuestion) {
+    questionTextEl.focus();
+  } else if (focusedChoice != null) {
+    const btn = choicesContainer.querySelector(`.choice-btn[data-index="${focusedChoice}"]`);
+    if (btn && !btn.disabled) btn.focus();
+  }
+
+  if (quizMode === "exam") {
+    renderExamControls();
+    return;
+  }
+
+  const hasSelection = selectedIndexes.size > 0;
+
+  if (quizMode === "study") {
+    renderStudyControls();
+  } else if (!state.graded) {
+    gradeBtn.disabled = !hasSelection;  // 何か1つ以上選ばれていれば採点可能
+    explainBtn.disabled = true;
+    nextBtn.disabled = true;
+  } else {
+    gradeBtn.disabled = true;
+    explainBtn.disabled = state.explained;
+    nextBtn.disabled = !state.explained;
+  }
+
+  if (copyEditBtn) copyEditBtn.disabled = false;
+  if (editExplainBtn) editExplainBtn.disabled = false;
+
+  // 別の問題に移ったら、前の問題の編集パネルは閉じる
+  if (explainEditorEl && explainEditorEl.dataset.qid && explainEditorEl.dataset.qid !== q.id) {
+    closeExplanationEditor();
+  }
+}
+
+
+/***********************
+ * 選び方（単一 / 複数）
+ *  - 設問文に「すべて選びなさい」「2つ選びなさい」などの指示があればそれに従う
+ *  - 指示がない問題は正答の数で決めるが、ヒントを隠す設定のときは答えの数が漏れないよう常に複数選べるようにする
+ ***********************/
+function selectionModeOf(q) {
+  const sel = q.selection;
+  if (sel && sel.source === "text") return { multiple: sel.multiple, count: sel.count };
+  if (quizSettings.showSelectionHint === false) return { multiple: true, count: null };
+  return { multiple: q.isMultiple, count: null };
+}
+
+// カテゴリ欄の後ろに付けるヒント（表示しない設定・単一選択なら空）
+function selectionHintText(q, selection, selectedCount) {
+  if (quizSettings.showSelectionHint === false || !selection.multiple) return "";
+  if (selection.count != null) return `（${selection.count}つ選択：${selectedCount} / ${selection.count}）`;
+  return "（複数選択可）";
+}
+
+
+/***********************
+ * 選択肢クリック
+ *  - 単一問題：ラジオボタン的に 1 つだけ保持
+ *  - 複数問題：チェックボックス的にトグル
+ ***********************/
+function toggleChoiceSelection(choiceIndex) {
+  const q = currentQuizQuestions[currentIndex];
+  const arr = userAnswers[currentIndex];
+  const idx = Number(choiceIndex);
+
+  if (!selectionModeOf(q).multiple) {
+    // 単一選択：1つに置き換える
+    userAnswers[currentIndex] = [idx];
+  } else {
+    // 複数選択：トグル
+    const pos = arr.indexOf(idx);
+    if (pos >= 0) {
+      arr.splice(pos, 1);
+    } else {
+      arr.push(idx);
+    }
+    userAnswers[currentIndex] = arr;
+  }
+
+  renderCurrentQuestion();
+}
+
+
+/***********************
+ * 採点
+ ***********************/
+// 採点後に選択肢の横に出す印
+const CHOICE_MARK_LABELS = {
+  correct: "✓ 正解",
+  missed: "選び漏れ（正解）",
+  wrong: "✗ 誤り",
+};
+
+// 部分点を含む点数の表示（小数第 2 位まで、余分な 0 は付けない）
+function formatScore(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * i 問目を採点して結果を記録する（練習の「採点」ボタン・模擬試験の提出で共用）
+ *   - 点数：採点方式（quizScoring）に従う
+ *   - 正誤判定：選んだ選択肢の集合 = 正解の集合
+ *   - 間隔反復の状態と回答履歴を更新
+ */
+function gradeQuestionAt(i) {
+  const q = currentQuizQuestions[i];
+  const state = questionStates[i];
+
+  const userIndexes = Array.from(new Set(userAnswers[i])).sort((a, b) => a - b);
+  const { isCorrect, score } = scoreAnswer(q, userIndexes, quizScoring);
+
+  state.graded = true;
+  state.isCorrect = isCorrect;
+  state.score = score;
+
+  scoreCount += score;
+
+  // 間隔反復の状態を更新（次回以降の出題順に反映）
+  recordGradeResult(q.id, isCorrect);
+  recordAttempt({
+    id: q.id,
+    at: Date.now(),
+    chosen: userIndexes.map(k => q.choices[k].text),
+    isCorrect,
+  });
+
+  return { isCorrect, userIndexes };
+}
+
+function gradeCurrentQuestion() {
+  const state = questionStates[currentIndex];
+  if (state.graded) return;
+
+  const { isCorrect } = gradeQuestionAt(currentIndex);
+  renderCurrentQuestion();
+
+  // 結果を読み上げ、選択肢が押せなくなるので次の操作（解説）へフォーカスを移す
+  const q = currentQuizQuestions[currentIndex];
+  const correctLabels = q.choices
+    .map((choice, idx) => (choice.isCorrect ? indexToLabel(idx) : null))
+    .filter(Boolean);
+  announce(isCorrect ? "正解です。" : `不正解です。正解は ${correctLabels.join("、")} です。`);
+  explainBtn.focus();
+}
+
+// スクリーンリーダー向けの読み上げ（aria-live 領域に書き込む）
+function announce(message) {
+  if (!liveRegionEl) return;
+  liveRegionEl.textContent = "";
+  // 同じ文言が続いても読み上げられるように、一度空にしてから入れ直す
+  setTimeout(() => { liveRegionEl.textContent = message; }, 50);
 }
 
 
 /***********************
- * 採点
+ * 解説表示（画面用）
  ***********************/
-function gradeCurrentQuestion() {
-  const q = currentQuizQuestions[currentIndex];
+function showExplanation() {
   const state = questionStates[currentIndex];
-  if (state.graded) return;
+  if (quizMode === "study") {
+    // 学習：解説を出すときは正解も一緒に出す
+    if (state.explained) return;
+    state.revealed = true;
+  } else if (!state.graded || state.explained) {
+    return;
+  }
+
+  state.explained = true;
+  renderCurrentQuestion();
+  nextBtn.focus();
+}
+
+// i 問目のフィードバック欄（採点結果＋解説）の HTML
+function renderFeedback(i) {
+  const state = questionStates[i];
+  if (quizMode === "study") return state?.explained ? buildExplanationHTML(i) : "";
+  if (!state || !state.graded) return "";
+
+  let html = state.isCorrect
+    ? `<div class="ok">正解！</div>`
+    : `<div class="ng">不正解…</div>`;
+
+  // 部分点がついたときは点数も出す
+  const score = state.score ?? (state.isCorrect ? 1 : 0);
+  if (!state.isCorrect && score > 0) {
+    html += `<div class="muted">部分点：${formatScore(score)} 点</div>`;
+  }
+
+  // 設問文の「何個選ぶか」と正答の数が合わない（問題データの誤りの可能性）
+  const q = currentQuizQuestions[i];
+  const correctTotal = q.choices.filter(c => c.isCorrect).length;
+  if (q.selection?.source === "text" && q.selection.count != null && q.selection.count !== correctTotal) {
+    html += `<div class="ng">※ 設問文は ${q.selection.count}つ選ぶ指示ですが、正答は ${correctTotal}つです。問題データを確認してください。</div>`;
+  }
+
+  if (state.explained) html += buildExplanationHTML(i);
+  return html;
+}
 
-  const userIndexes = Array.from(new Set(userAnswers[currentIndex])).sort((a, b) => a - b);
+/**
+ * 解説（HTML）
+ *   review … 結果画面の振り返り用（回答・正解の行は振り返り側に出すので省き、参照は A/B/C/D ではなく選択肢の本文で示す）
+ */
+function buildExplanationHTML(i, { review = false } = {}) {
+  const q = currentQuizQuestions[i];
 
+  const userIndexes = Array.from(new Set(userAnswers[i])).sort((a, b) => a - b);
   const correctIndexes = q.choices
     .map((choice, idx) => (choice.isCorrect ? idx : null))
     .filter(idx => idx !== null);
 
-  const isCorrect =
-    userIndexes.length === correctIndexes.length &&
-    userIndexes.every((v, i) => v === correctIndexes[i]);
+  const userLabels = userIndexes.map(indexToLabel);
+  const correctLabels = correctIndexes.map(indexToLabel);
+
+  const userText = userLabels.length ? userLabels.join(", ") : "（未回答）";
+  const correctText = correctLabels.join(", ");
+
+  // explanations.json の本文を優先（なければ簡易説明）
+  const exp = getExplanation(q.id);
+
+  let html = `<hr>`;
+  html += `<div class="explain">`;
+  if (quizMode === "study") {
+    html += `<div class="muted">正解：${escapeHTML(correctText)}</div>`;
+  } else if (!review) {
+    html += `<div class="muted">あなたの回答：${escapeHTML(userText)}<br>`;
+    html += `正解：${escapeHTML(correctText)}</div>`;
+  }
+
+  if (exp && exp.title) {
+    html += `<h4 class="explain-title">${escapeHTML(exp.title)}</h4>`;
+  }
+
+  const { note } = getQuestionNote(q.id);
+  if (note.trim()) {
+    html += `<div class="my-note"><strong>自分のメモ</strong><div>${escapeHTML(note).replace(/\n/g, "<br>")}</div></div>`;
+  }
+
+  if (exp && exp.body) {
+    html += `<div class="explain-body">${renderExplanationBody(exp.body)}</div>`;
+  } else {
+    html += `<p class="muted">（この問題の解説は未登録です：explanations.json に id=${escapeHTML(q.id)} を追加してください）</p>`;
+  }
+
+  // 関連ヘルプ／テキスト：CSV 側に載っている URL / テキスト参照先を表示
+  const csvUrls = new Set();
+  const helpLines = [];
+  q.choices.forEach((choice, idx) => {
+    const label = indexToLabel(idx);
+    const parts = [];
+    if (choice.helpUrl) {
+      csvUrls.add(normalizeUrlForCompare(choice.helpUrl));
+      parts.push(`ヘルプ: ${linkOrText(choice.helpUrl, choice.helpLabel)}`);
+    }
+    if (choice.textRef) {
+      parts.push(`テキスト: ${escapeHTML(choice.textRef)}`);
+    }
+    if (parts.length > 0) {
+      const head = review ? `「${escapeHTML(choice.text)}」` : `[${label}]`;
+      helpLines.push(`${head} ${parts.join(" / ")}`);
+    }
+  });
+
+  // 解説側の関連リンク（CSV の参照先と同じ URL は重複するので出さない）
+  const seenLinks = new Set(csvUrls);
+  const links = (Array.isArray(exp?.links) ? exp.links : []).filter(l => {
+    const key = normalizeUrlForCompare(l?.url);
+    if (!key || seenLinks.has(key)) return false;
+    seenLinks.add(key);
+    return true;
+  });
+
+  if (links.length > 0) {
+    html += `<div class="refs"><div class="muted">関連リンク</div><ul>`;
+    links.forEach(l => {
+      html += `<li>${linkOrText(l.url, l.label)}</li>`;
+    });
+    html += `</ul></div>`;
+  }
+
+  if (helpLines.length > 0) {
+    html += `<div class="refs"><div class="muted">参照</div><ul>`;
+    helpLines.forEach(line => {
+      html += `<li>${line}</li>`;
+    });
+    html += `</ul></div>`;
+  }
+
+  html += `</div>`;
+
+  return html;
+}
+
+
+/***********************
+ * キーボード操作（クイズ画面）
+ *   1〜4 / A〜D … 選択肢の切り替え
+ *   Enter       … 採点（学習では「答えを見る」）
+ *   E           … 解説
+ *   → / N       … 次の問題
+ *   ← / P       … 前の問題（模擬試験・学習）
+ *   F           … 見直しフラグ（模擬試験）
+ *   ↑ / ↓       … 選択肢間のフォーカス移動
+ ***********************/
+function handleQuizKeydown(e) {
+  if (quizScreen.classList.contains("hidden")) return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+  // 入力欄（解説エディタなど）では文字入力を優先
+  const tag = e.target?.tagName;
+  if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+
+  const q = currentQuizQuestions[currentIndex];
+  const state = questionStates[currentIndex];
+  if (!q || !state) return;
+
+  const isExam = quizMode === "exam";
+  const isStudy = quizMode === "study";
+  const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+
+  // 選択肢：数字（1〜）またはラベル（A〜）
+  let choiceIndex = -1;
+  if (/^[1-9]$/.test(key)) choiceIndex = Number(key) - 1;
+  else if (/^[A-D]$/.test(key)) choiceIndex = key.charCodeAt(0) - 65;
+
+  if (choiceIndex >= 0) {
+    if (choiceIndex < q.choices.length && !state.graded && !state.revealed) {
+      e.preventDefault();
+      toggleChoiceSelection(choiceIndex);
+      choicesContainer.querySelector(`.choice-btn[data-index="${choiceIndex}"]`)?.focus();
+    }
+    return;
+  }
+
+  if (key === "ArrowUp" || key === "ArrowDown") {
+    const buttons = Array.from(choicesContainer.querySelectorAll(".choice-btn:not(:disabled)"));
+    if (buttons.length === 0) return;
+    e.preventDefault();
+    const pos = buttons.indexOf(document.activeElement);
+    const next = key === "ArrowDown"
+      ? (pos + 1) % buttons.length
+      : (pos <= 0 ? buttons.length - 1 : pos - 1);
+    buttons[next].focus();
+    return;
+  }
+
+  if (key === "Enter") {
+    if (isStudy && !state.revealed) {
+      e.preventDefault();
+      revealAnswer();
+      return;
+    }
+    if (isExam || isStudy || state.graded) return; // 採点済みならボタン自体の Enter（クリック）に任せる
+    e.preventDefault();
+    if (!gradeBtn.disabled) gradeCurrentQuestion();
+    return;
+  }
+
+  if (key === "E" && !isExam) {
+    if (!explainBtn.disabled) showExplanation();
+    return;
+  }
+
+  if (key === "ArrowRight" || key === "N") {
+    if (!nextBtn.disabled) {
+      e.preventDefault();
+      goToNextQuestion();
+    }
+    return;
+  }
+
+  if ((isExam || isStudy) && (key === "ArrowLeft" || key === "P")) {
+    if (!prevBtn.disabled) {
+      e.preventDefault();
+      goToPrevQuestion();
+    }
+    return;
+  }
+
+  if (isExam && key === "F") {
+    toggleFlag();
+  }
+}
+
+
+/***********************
+ * ブックマーク・メモ（クイズ画面・結果画面）
+ ***********************/
+function renderBookmarkButton(btn, bookmarked) {
+  if (!btn) return;
+  btn.textContent = bookmarked ? "★ ブックマーク中" : "☆ ブックマーク";
+  btn.classList.toggle("active", bookmarked);
+  btn.setAttribute("aria-pressed", String(bookmarked));
+}
+
+function toggleBookmark(id) {
+  const bookmarked = !getQuestionNote(id).bookmarked;
+  updateQuestionNote(id, { bookmarked });
+  return bookmarked;
+}
+
+function setupQuestionNotes() {
+  if (bookmarkBtn) {
+    bookmarkBtn.addEventListener("click", () => {
+      const q = currentQuizQuestions[currentIndex];
+      if (q) renderBookmarkButton(bookmarkBtn, toggleBookmark(q.id));
+    });
+  }
+
+  if (noteInput) {
+    // 入力のたびに保存し、解説欄の「自分のメモ」は入力を終えたときに描き直す
+    noteInput.addEventListener("input", () => {
+      if (noteInput.dataset.qid) updateQuestionNote(noteInput.dataset.qid, { note: noteInput.value });
+    });
+    noteInput.addEventListener("change", () => {
+      feedbackEl.innerHTML = renderFeedback(currentIndex);
+    });
+  }
+
+  // 結果画面：各問題のブックマーク・メモ（描き直しが多いので委譲で受ける）
+  reviewContainer.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-bookmark-id]");
+    if (btn) renderBookmarkButton(btn, toggleBookmark(btn.dataset.bookmarkId));
+  });
+  reviewContainer.addEventListener("input", (e) => {
+    const input = e.target.closest("[data-note-id]");
+    if (input) updateQuestionNote(input.dataset.noteId, { note: input.value });
+  });
+}
+
+
+/***********************
+ * 次へ
+ ***********************/
+function goToNextQuestion() {
+  const total = currentQuizQuestions.length;
+
+  if (currentIndex < total - 1) {
+    currentIndex += 1;
+    renderCurrentQuestion();
+  } else if (quizMode === "practice") {
+    showResult();
+  }
+}
+
+
+/***********************
+ * 模擬試験
+ *  - 採点・解説は提出まで出さない
+ *  - 問題パレットで自由に行き来でき、見直しフラグを付けられる
+ *  - 時間切れで自動提出
+ ***********************/
+function goToPrevQuestion() {
+  if (currentIndex > 0) {
+    currentIndex -= 1;
+    renderCurrentQuestion();
+  }
+}
+
+function jumpToQuestion(i) {
+  if (i < 0 || i >= currentQuizQuestions.length) return;
+  currentIndex = i;
+  renderCurrentQuestion();
+}
+
+function toggleFlag() {
+  const state = questionStates[currentIndex];
+  state.flagged = !state.flagged;
+  renderCurrentQuestion();
+}
+
+function renderExamControls() {
+  const total = currentQuizQuestions.length;
+  const state = questionStates[currentIndex];
+
+  prevBtn.disabled = currentIndex === 0;
+  nextBtn.disabled = currentIndex === total - 1;
+  flagBtn.textContent = state.flagged ? "見直しフラグを外す" : "見直しフラグを付ける";
+  submitBtn.disabled = false;
+
+  // 問題パレット：回答済み / フラグ / 表示中 を色分け
+  paletteEl.innerHTML = "";
+  currentQuizQuestions.forEach((q, i) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "palette-btn";
+    btn.textContent = String(i + 1);
+    if (userAnswers[i].length > 0) btn.classList.add("answered");
+    if (questionStates[i].flagged) btn.classList.add("flagged");
+    if (i === currentIndex) btn.classList.add("current");
+    btn.addEventListener("click", () => jumpToQuestion(i));
+    paletteEl.appendChild(btn);
+  });
+}
+
+function formatDuration(ms) {
+  const totalSec = Math.max(0, Math.ceil(ms / 1000));
+  const m = Math.floor(totalSec / 60);
+  const sec = totalSec % 60;
+  return `${m}:${String(sec).padStart(2, "0")}`;
+}
+
+function tickExamTimer() {
+  if (!examState) return;
+  const remaining = examState.deadline - Date.now();
+
+  examTimerEl.textContent = `残り ${formatDuration(remaining)}`;
+  examTimerEl.classList.toggle("warning", remaining <= 5 * 60 * 1000);
+
+  if (remaining <= 0) {
+    submitExam(true);
+  }
+}
+
+function stopExamTimer() {
+  if (examState && examState.timerId) {
+    clearInterval(examState.timerId);
+    examState.timerId = null;
+  }
+}
+
+function submitExam(isTimeUp = false) {
+  if (!examState || examState.finishedAt) return;
+
+  if (!isTimeUp) {
+    const unanswered = userAnswers.filter(a => a.length === 0).length;
+    const flagged = questionStates.filter(s => s.flagged).length;
+    const notes = [];
+    if (unanswered > 0) notes.push(`未回答：${unanswered}問`);
+    if (flagged > 0) notes.push(`見直しフラグ：${flagged}問`);
+    const msg = `提出して採点しますか？${notes.length ? `\n（${notes.join(" / ")}）` : ""}`;
+    if (!confirm(msg)) return;
+  }
+
+  stopExamTimer();
+  examState.finishedAt = Math.min(Date.now(), examState.deadline);
+
+  currentQuizQuestions.forEach((_, i) => {
+    if (!questionStates[i].graded) gradeQuestionAt(i);
+  });
+
+  showResult();
+}
+
+
+/***********************
+ * 結果画面
+ ***********************/
+function showResult() {
+  // 最後まで解いたので途中セッションは不要
+  clearQuizSession();
+  currentSessionStatsBefore = null;
+
+  showScreen("result");
+
+  scoreSummaryEl.textContent = `あなたのスコア：${formatScore(scoreCount)} / ${currentQuizQuestions.length}`
+    + (quizScoring !== "strict" ? `（採点方式：${SCORING_POLICIES[quizScoring]}）` : "");
+  examSummaryEl.innerHTML = quizMode === "exam" ? renderExamSummary() : "";
+
+  // 共有リンクは種が分かるクイズだけ（種を持たない古いセッションから再開したときは出さない）
+  shareBtn?.classList.toggle("hidden", currentQuizSeed === null);
+  if (shareStatusEl) {
+    shareStatusEl.innerHTML = "";
+    shareStatusEl.classList.add("hidden");
+  }
+
+  // レビュー表示
+  reviewContainer.innerHTML = "";
+
+  currentQuizQuestions.forEach((q, i) => {
+    const state = questionStates[i];
+    const userIndexes = Array.from(new Set(userAnswers[i])).sort((a, b) => a - b);
+    const { marks } = scoreAnswer(q, userIndexes, quizScoring);
+    const score = state.score ?? (state.isCorrect ? 1 : 0);
+    const personal = getQuestionNote(q.id);
+
+    // 選択肢はシャッフルされていて A/B/C/D が次回と一致しないので、本文で示す
+    const markedChoices = q.choices
+      .map((choice, idx) => ({ choice, mark: marks[idx] }))
+      .filter(x => x.mark);
+    const choiceList = markedChoices
+      .map(x => `<li class="review-choice ${x.mark}">${escapeHTML(x.choice.text)}<span class="choice-mark">${CHOICE_MARK_LABELS[x.mark]}</span></li>`)
+      .join("");
+    const unanswered = userIndexes.length === 0 ? `<div class="muted">（未回答）</div>` : "";
+
+    const div = document.createElement("div");
+    div.className = "review-item";
+
+    div.innerHTML = `
+      <div class="review-head">
+        <span class="badge">Q${i + 1}</span>
+        <span class="${state.isCorrect ? "ok" : "ng"}">${state.isCorrect ? "正解" : "不正解"}</span>
+        ${!state.isCorrect && score > 0 ? `<span class="muted">部分点 ${formatScore(score)}</span>` : ""}
+        <span class="muted">（問題ID：${escapeHTML(q.id)}）</span>
+      </div>
+      <div class="review-q">${escapeHTML(q.text)}</div>
+      ${unanswered}
+      <ul class="review-choices">${choiceList}</ul>
+      <div class="review-personal">
+        <button type="button" class="small-btn bookmark-btn" data-bookmark-id="${escapeHTML(q.id)}"></button>
+        <textarea class="note-input" rows="2" placeholder="自分のメモ" aria-label="Q${i + 1} のメモ" data-note-id="${escapeHTML(q.id)}">${escapeHTML(personal.note)}</textarea>
+      </div>
+    `;
+    renderBookmarkButton(div.querySelector(".bookmark-btn"), personal.bookmarked);
+
+    // 模擬試験は解答中に解説を出さないので、提出後にここで読めるようにする
+    if (quizMode === "exam") {
+      div.insertAdjacentHTML("beforeend", `<details class="review-explain"><summary>解説を見る</summary>${buildExplanationHTML(i, { review: true })}</details>`);
+    }
+
+    reviewContainer.appendChild(div);
+  });
+}
+
+
+/**
+ * 模擬試験の結果（HTML）
+ *   - 合格ラインに対する合否
+ *   - 所要時間
+ *   - カテゴリ別の正答数・正答率
+ */
+function renderExamSummary() {
+  const total = currentQuizQuestions.length;
+  const percent = total > 0 ? Math.round((scoreCount / total) * 100) : 0;
+  const passed = percent >= quizSettings.examPassPercent;
+  const elapsed = examState ? (examState.finishedAt ?? Date.now()) - examState.startedAt : 0;
+
+  const byCategory = new Map();
+  currentQuizQuestions.forEach((q, i) => {
+    const key = q.category || "カテゴリ未設定";
+    const c = byCategory.get(key) || { total: 0, correct: 0 };
+    c.total += 1;
+    c.correct += questionStates[i].score ?? (questionStates[i].isCorrect ? 1 : 0);
+    byCategory.set(key, c);
+  });
+
+  let html = `<div class="exam-verdict ${passed ? "ok" : "ng"}">${passed ? "合格" : "不合格"}`;
+  html += `（正答率 ${percent}% / 合格ライン ${escapeHTML(quizSettings.examPassPercent)}%）</div>`;
+  html += `<p class="muted">所要時間：${formatDuration(elapsed)}（制限 ${escapeHTML(quizSettings.examMinutes)}分）</p>`;
+
+  html += `<table class="breakdown"><thead><tr><th>カテゴリ</th><th>正解</th><th>正答率</th></tr></thead><tbody>`;
+  for (const [category, c] of byCategory) {
+    html += `<tr><td>${escapeHTML(category)}</td><td>${formatScore(c.correct)} / ${c.total}</td>`;
+    html += `<td>${Math.round((c.correct / c.total) * 100)}%</td></tr>`;
+  }
+  html += `</tbody></table>`;
+
+  return html;
+}
+
+
+/***********************
+ * 問題データの検証（validator.js）
+ *  - 読み込み中の問題データと、ローカル上書きを反映した解説を突き合わせる
+ ***********************/
+function showValidationReport() {
+  const result = validateQuestionBank({
+    files: questionSources.map(s => ({ file: s.file, text: s.text, format: s.format })),
+    explanations: buildMergedExplanations(),
+  });
+  validationContentEl.innerHTML = renderValidationReport(result);
+  showScreen("validation");
+}
+
+function renderValidationReport(result) {
+  let html = `<p>問題数：${result.questionCount}問（${questionSources.length}ファイル）</p>`;
+  if (sourceErrors.length > 0) {
+    html += `<p class="ng">読み込めなかったファイル：${escapeHTML(sourceErrors.map(e => e.file).join("、"))}</p>`;
+  }
+
+  for (const sec of VALIDATION_SECTIONS) {
+    const list = result[sec.key];
+    const cls = list.length === 0 ? "muted" : sec.level === "error" ? "ng" : "";
+    html += `<details class="validation-section"${list.length > 0 && sec.level === "error" ? " open" : ""}>`;
+    html += `<summary class="${cls}">${sec.level === "error" ? "エラー" : "注意"}：${escapeHTML(sec.title)}（${list.length}件）</summary>`;
+    if (list.length > 0) {
+      html += `<ul>${list.map(x => `<li>${escapeHTML(sec.format(x))}</li>`).join("")}</ul>`;
+    }
+    html += `</details>`;
+  }
+
+  return html;
+}
+
+
+/***********************
+ * 問題を探す（一覧・全文検索）
+ *  - 問題文・選択肢・解説（タイトル／本文）をまとめて検索する
+ *  - カテゴリ・セット・出題状況・解説の有無で絞り込む
+ *  - 1 問を学習表示で開く / 検索結果をそのまま出題する
+ ***********************/
+const BROWSE_STATUS_FILTERS = {
+  all: { label: "出題状況：すべて", test: () => true },
+  unseen: { label: "未出題", test: (info) => info.seen === 0 },
+  seen: { label: "出題済み", test: (info) => info.seen > 0 },
+  missed: { label: "間違えたことがある", test: (info) => info.missed > 0 },
+};
+
+// 検索結果（「この結果から出題する」で使う）
+let browseResults = [];
+
+// 検索用に表記ゆれを寄せる（全角英数→半角、大文字→小文字）
+function normalizeForSearch(text) {
+  return String(text ?? "").normalize("NFKC").toLowerCase();
+}
+
+function questionSearchText(q) {
+  const exp = getExplanation(q.id);
+  return normalizeForSearch([
+    q.id,
+    q.text,
+    ...q.choices.map(c => c.text),
+    exp?.title,
+    exp?.body,
+  ].filter(Boolean).join("\n"));
+}
+
+function fillSelectOptions(el, allLabel, values, labelOf) {
+  if (!el) return;
+  const current = el.value;
+  el.innerHTML = `<option value="">${escapeHTML(allLabel)}</option>`
+    + values.map(v => `<option value="${escapeHTML(v)}">${escapeHTML(labelOf(v))}</option>`).join("");
+  if (values.includes(current)) el.value = current;
+}
+
+function showBrowse() {
+  const valuesOf = (key) => Array.from(new Set(allQuestions.map(q => q[key] ?? "")))
+    .sort((a, b) => a.localeCompare(b, "ja", { numeric: true }));
+  const labelOf = (key) => FILTER_FIELDS.find(f => f.key === key).label;
+
+  fillSelectOptions(browseCategoryEl, "カテゴリ：すべて", valuesOf("category"), labelOf("category"));
+  fillSelectOptions(browseSetNoEl, "セット：すべて", valuesOf("setNo"), labelOf("setNo"));
+
+  showScreen("browse");
+  renderBrowseResults();
+}
 
-  state.graded = true;
-  state.isCorrect = isCorrect;
+function renderBrowseResults() {
+  const terms = normalizeForSearch(browseQueryInput?.value).split(/\s+/).filter(Boolean);
+  const category = browseCategoryEl?.value ?? "";
+  const setNo = browseSetNoEl?.value ?? "";
+  const status = BROWSE_STATUS_FILTERS[browseStatusEl?.value] || BROWSE_STATUS_FILTERS.all;
+  const explanation = browseExplainEl?.value ?? "";
 
-  if (isCorrect) scoreCount += 1;
+  const stats = loadQuizStats();
+  const attemptsById = groupAttemptsById(loadAnswerHistory());
+  const infoOf = (q) => ({
+    seen: getStat(stats, q.id).seen || 0,
+    missed: (attemptsById[q.id] || []).filter(a => !a.isCorrect).length,
+    hasExplanation: Boolean(getExplanation(q.id)?.body),
+    studyMark: getStat(stats, q.id).studyMark || null,
+  });
 
-  // 選択肢の見た目を更新（正解/不正解ハイライト）
-  Array.from(choicesContainer.querySelectorAll("button.choice-btn")).forEach(btn => {
-    const idx = Number(btn.dataset.index);
-    const choice = q.choices[idx];
+  const results = [];
+  for (const q of allQuestions) {
+    if (category && (q.category ?? "") !== category) continue;
+    if (setNo && (q.setNo ?? "") !== setNo) continue;
 
-    btn.disabled = true;
+    const info = infoOf(q);
+    if (!status.test(info)) continue;
+    if (explanation === "has" && !info.hasExplanation) continue;
+    if (explanation === "none" && info.hasExplanation) continue;
 
-    if (choice.isCorrect) {
-      btn.classList.add("correct");
-    } else if (userIndexes.includes(idx)) {
-      btn.classList.add("wrong");
+    if (terms.length > 0) {
+      const haystack = questionSearchText(q);
+      if (!terms.every(t => haystack.includes(t))) continue;
     }
+    results.push({ q, info });
+  }
+
+  browseResults = results.map(r => r.q);
+  browseCountEl.textContent = `${results.length}問 / 全${allQuestions.length}問`;
+  browseQuizBtn.disabled = results.length === 0;
+  browseQuizBtn.textContent = `この結果から出題する（${results.length}問）`;
+
+  browseResultsEl.innerHTML = results.map(({ q, info }, i) => {
+    const badges = [
+      info.seen > 0 ? `出題${info.seen}回` : "未出題",
+      info.missed > 0 ? `<span class="ng">誤答${info.missed}回</span>` : "",
+      info.hasExplanation ? "" : `<span class="muted">解説なし</span>`,
+      info.studyMark ? escapeHTML(STUDY_MARK_LABELS[info.studyMark]) : "",
+    ].filter(Boolean).join(" / ");
+    return `<li class="browse-item">
+      <div class="browse-head">
+        <span class="badge">${escapeHTML(q.id)}</span>
+        <span class="muted">${escapeHTML(q.category || "カテゴリ未設定")}</span>
+        <span class="browse-badges">${badges}</span>
+      </div>
+      <div class="browse-text">${escapeHTML(q.text)}</div>
+      <button type="button" class="small-btn" data-browse-index="${i}">学習表示で開く</button>
+    </li>`;
+  }).join("");
+}
+
+function setupBrowse() {
+  if (browseStatusEl) {
+    browseStatusEl.innerHTML = Object.entries(BROWSE_STATUS_FILTERS)
+      .map(([value, f]) => `<option value="${value}">${escapeHTML(f.label)}</option>`)
+      .join("");
+  }
+
+  [browseQueryInput, browseCategoryEl, browseSetNoEl, browseStatusEl, browseExplainEl].forEach(el => {
+    if (!el) return;
+    el.addEventListener(el === browseQueryInput ? "input" : "change", renderBrowseResults);
   });
 
-  // フィードバック表示
-  feedbackEl.innerHTML = isCorrect
-    ? `<div class="ok">正解！</div>`
-    : `<div class="ng">不正解…</div>`;
+  if (browseResultsEl) {
+    browseResultsEl.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-browse-index]");
+      if (!btn) return;
+      const q = browseResults[Number(btn.dataset.browseIndex)];
+      if (q) startStudy([q]);
+    });
+  }
 
-  renderCurrentQuestion();
+  if (browseQuizBtn) browseQuizBtn.addEventListener("click", () => startCustomQuiz(browseResults));
+  if (browseBtn) browseBtn.addEventListener("click", showBrowse);
+  if (browseBackBtn) browseBackBtn.addEventListener("click", () => showScreen("start"));
+  if (studyBackBtn) studyBackBtn.addEventListener("click", closeStudy);
+  if (revealBtn) revealBtn.addEventListener("click", revealAnswer);
+  if (understoodBtn) understoodBtn.addEventListener("click", () => toggleStudyMark("understood"));
+  if (needsReviewBtn) needsReviewBtn.addEventListener("click", () => toggleStudyMark("review"));
 }
 
 
 /***********************
- * 解説表示（画面用）
+ * 学習ダッシュボード
+ *  - 回答履歴（HISTORY_KEY）から集計
+ *  - グラフは SVG を文字列で組み立てる（外部ライブラリは使わない）
  ***********************/
-function showExplanation() {
-  const q = currentQuizQuestions[currentIndex];
-  const state = questionStates[currentIndex];
-  if (!state.graded || state.explained) return;
+function showDashboard() {
+  dashboardContentEl.innerHTML = renderDashboard(loadAnswerHistory());
+  showScreen("dashboard");
+}
 
-  const userIndexes = Array.from(new Set(userAnswers[currentIndex])).sort((a, b) => a - b);
-  const correctIndexes = q.choices
-    .map((choice, idx) => (choice.isCorrect ? idx : null))
-    .filter(idx => idx !== null);
+// attempts を key ごとに { total, correct } へ集計（key は表示順にソート）
+function aggregateAttempts(attempts, keyOf) {
+  const map = new Map();
+  for (const a of attempts) {
+    const key = keyOf(a);
+    if (key === null) continue;
+    const c = map.get(key) || { total: 0, correct: 0 };
+    c.total += 1;
+    if (a.isCorrect) c.correct += 1;
+    map.set(key, c);
+  }
+  return Array.from(map.entries())
+    .sort(([a], [b]) => String(a).localeCompare(String(b), "ja", { numeric: true }))
+    .map(([key, c]) => ({ key, ...c, rate: c.correct / c.total }));
+}
 
-  const userLabels = userIndexes.map(indexToLabel);
-  const correctLabels = correctIndexes.map(indexToLabel);
+function formatDateKey(ms) {
+  const d = new Date(ms);
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
 
-  const userText = userLabels.length ? userLabels.join(", ") : "（未回答）";
-  const correctText = correctLabels.join(", ");
+function renderDashboard(history) {
+  const attempts = history.attempts.filter(a => a && a.id);
+  const total = allQuestions.length;
 
-  // explanations.json の本文を優先（なければ簡易説明）
-  const exp = explanationsById[q.id] || null;
+  if (attempts.length === 0) {
+    return `<p class="muted">まだ回答履歴がありません。クイズに回答するとここに集計が表示されます。</p>`;
+  }
 
-  let html = `<hr>`;
-  html += `<div class="explain">`;
-  html += `<div class="muted">あなたの回答：${escapeHTML(userText)}<br>`;
-  html += `正解：${escapeHTML(correctText)}</div>`;
+  const questionOf = (a) => allQuestionsById[a.id] || null;
+  const byId = groupAttemptsById({ attempts });
 
-  if (exp && exp.body) {
-    html += `<pre class="explain-body">${escapeHTML(exp.body)}</pre>`;
-  } else {
-    html += `<p class="muted">（この問題の解説は未登録です：explanations.json に id=${escapeHTML(q.id)} を追加してください）</p>`;
-  }
+  const answeredIds = allQuestions.filter(q => byId[q.id]);
+  const everCorrect = answeredIds.filter(q => byId[q.id].some(a => a.isCorrect));
+  const neverCorrect = answeredIds.filter(q => !byId[q.id].some(a => a.isCorrect));
+  const correctCount = attempts.filter(a => a.isCorrect).length;
 
-  // 関連ヘルプ／テキスト：CSV 側に載っている URL / テキスト参照先を表示
-  const helpLines = [];
-  q.choices.forEach((choice, idx) => {
-    const label = indexToLabel(idx);
-    const parts = [];
-    if (choice.helpUrl) {
-      parts.push(`ヘルプ: ${linkOrText(choice.helpUrl)}`);
-    }
-    if (choice.textRef) {
-      parts.push(`テキスト: ${escapeHTML(choice.textRef)}`);
-    }
-    if (parts.length > 0) {
-      helpLines.push(`[${label}] ${parts.join(" / ")}`);
-    }
+  const byDay = aggregateAttempts(attempts, a => formatDateKey(a.at));
+  const byCategory = aggregateAttempts(attempts, a => {
+    const q = questionOf(a);
+    return q ? (q.category || "カテゴリ未設定") : null;
+  });
+  const bySet = aggregateAttempts(attempts, a => {
+    const q = questionOf(a);
+    return q ? (q.setNo ? `セット${q.setNo}` : "セット不明") : null;
   });
 
-  if (helpLines.length > 0) {
-    html += `<div class="refs"><div class="muted">参照</div><ul>`;
-    helpLines.forEach(line => {
-      html += `<li>${line}</li>`;
+  const pct = (rate) => `${Math.round(rate * 100)}%`;
+
+  let html = `<div class="dash-summary">`;
+  html += `<div><span class="dash-num">${attempts.length}</span><span class="muted">回答数</span></div>`;
+  html += `<div><span class="dash-num">${pct(correctCount / attempts.length)}</span><span class="muted">正答率</span></div>`;
+  html += `<div><span class="dash-num">${answeredIds.length} / ${total}</span><span class="muted">回答済みの問題</span></div>`;
+  html += `<div><span class="dash-num">${everCorrect.length} / ${total}</span><span class="muted">正解したことがある問題</span></div>`;
+  html += `</div>`;
+
+  html += `<h3>正答率の推移（日別）</h3>`;
+  html += renderLineChartSVG(byDay.map(d => ({ label: d.key, value: d.rate, note: `${d.correct} / ${d.total}` })));
+
+  html += `<h3>カテゴリ別の正答率</h3>`;
+  html += renderBarChartSVG(byCategory.map(c => ({ label: c.key, value: c.rate, note: `${pct(c.rate)}（${c.correct} / ${c.total}）` })), "カテゴリ別の正答率");
+
+  html += `<h3>練習問題セット別の正答率</h3>`;
+  html += renderBarChartSVG(bySet.map(c => ({ label: c.key, value: c.rate, note: `${pct(c.rate)}（${c.correct} / ${c.total}）` })), "練習問題セット別の正答率");
+
+  html += `<h3>問題バンクの網羅率</h3>`;
+  html += renderBarChartSVG([
+    { label: "回答済み", value: total ? answeredIds.length / total : 0, note: `${answeredIds.length} / ${total}` },
+    { label: "正解済み", value: total ? everCorrect.length / total : 0, note: `${everCorrect.length} / ${total}` },
+  ], "問題バンクの網羅率");
+
+  html += `<h3>一度も正解していない問題（${neverCorrect.length}問）</h3>`;
+  if (neverCorrect.length === 0) {
+    html += `<p class="muted">ありません。</p>`;
+  } else {
+    html += `<ul class="never-correct">`;
+    neverCorrect.forEach(q => {
+      html += `<li><span class="badge">${escapeHTML(q.id)}</span> ${escapeHTML(q.text)}`;
+      html += ` <span class="muted">（${byId[q.id].length}回回答）</span></li>`;
     });
-    html += `</ul></div>`;
+    html += `</ul>`;
   }
+  html += `<p class="muted">未回答の問題：${total - answeredIds.length}問</p>`;
 
-  html += `</div>`;
+  return html;
+}
 
-  feedbackEl.innerHTML += html;
+/**
+ * 折れ線グラフ（0〜100%）
+ * points = [{ label, value(0..1), note }]
+ */
+function renderLineChartSVG(points) {
+  const W = 600, H = 180, padL = 36, padR = 12, padT = 10, padB = 24;
+  const innerW = W - padL - padR;
+  const innerH = H - padT - padB;
 
-  state.explained = true;
-  renderCurrentQuestion();
+  const x = (i) => padL + (points.length === 1 ? innerW / 2 : (innerW * i) / (points.length - 1));
+  const y = (v) => padT + innerH * (1 - v);
+
+  let svg = `<svg class="chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="正答率の推移">`;
+
+  // 目盛り（0/50/100%）
+  [0, 0.5, 1].forEach(v => {
+    svg += `<line x1="${padL}" x2="${W - padR}" y1="${y(v)}" y2="${y(v)}" class="chart-grid" />`;
+    svg += `<text x="${padL - 4}" y="${y(v) + 4}" text-anchor="end" class="chart-label">${v * 100}%</text>`;
+  });
+
+  const path = points.map((p, i) => `${i === 0 ? "M" : "L"}${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(" ");
+  svg += `<path d="${path}" class="chart-line" />`;
+
+  points.forEach((p, i) => {
+    svg += `<circle cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3" class="chart-dot">`;
+    svg += `<title>${escapeHTML(p.label)}：${Math.round(p.value * 100)}%（${escapeHTML(p.note)}）</title></circle>`;
+  });
+
+  // 横軸は最初と最後の日付だけ
+  if (points.length > 0) {
+    const anchor = points.length === 1 ? "middle" : "start";
+    svg += `<text x="${x(0)}" y="${H - 6}" text-anchor="${anchor}" class="chart-label">${escapeHTML(points[0].label)}</text>`;
+  }
+  if (points.length > 1) {
+    const last = points[points.length - 1];
+    svg += `<text x="${x(points.length - 1)}" y="${H - 6}" text-anchor="end" class="chart-label">${escapeHTML(last.label)}</text>`;
+  }
+
+  svg += `</svg>`;
+  return svg;
+}
+
+/**
+ * 横棒グラフ（0〜100%）
+ * items = [{ label, value(0..1), note }]
+ */
+function renderBarChartSVG(items, ariaLabel) {
+  const W = 600, rowH = 26, labelW = 120, noteW = 130;
+  const barW = W - labelW - noteW;
+  const H = Math.max(rowH, items.length * rowH);
+
+  let svg = `<svg class="chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="${escapeHTML(ariaLabel)}">`;
+  items.forEach((item, i) => {
+    const top = i * rowH;
+    svg += `<text x="${labelW - 8}" y="${top + 17}" text-anchor="end" class="chart-label">${escapeHTML(item.label)}</text>`;
+    svg += `<rect x="${labelW}" y="${top + 5}" width="${barW}" height="${rowH - 10}" class="chart-track" />`;
+    svg += `<rect x="${labelW}" y="${top + 5}" width="${(barW * item.value).toFixed(1)}" height="${rowH - 10}" class="chart-bar" />`;
+    svg += `<text x="${labelW + barW + 8}" y="${top + 17}" class="chart-label">${escapeHTML(item.note)}</text>`;
+  });
+  svg += `</svg>`;
+  return svg;
 }
 
 
 /***********************
- * 次へ
+ * 学習データのバックアップ（JSON エクスポート / インポート）
+ *  - 出題統計・回答履歴・出題設定を 1 ファイルにまとめる
+ *  - PC ⇔ スマホの移行や、ブラウザのデータ削除に備える
  ***********************/
-function goToNextQuestion() {
-  const total = currentQuizQuestions.length;
+const BACKUP_FORMAT = "kintone-quiz-backup";
+const BACKUP_VERSION = 2;
 
-  if (currentIndex < total - 1) {
-    currentIndex += 1;
-    renderCurrentQuestion();
-  } else {
-    showResult();
+/**
+ * backup = {
+ *   format: "kintone-quiz-backup",
+ *   version: 2,
+ *   exportedAt: string(ISO),
+ *   stats: { quizRun, byId },   // STATS_KEY と同じ形
+ *   history: { attempts },      // HISTORY_KEY と同じ形
+ *   settings: { ... } | null,   // SETTINGS_KEY と同じ形
+ *   notes: { byId },            // NOTES_KEY と同じ形（version 2 から）
+ * }
+ */
+function buildBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    stats: loadQuizStats(),
+    history: loadAnswerHistory(),
+    settings: loadSettings(),
+    notes: loadQuestionNotes(),
+  };
+}
+
+/**
+ * 古い形式を現在の形式にそろえる。
+ *   - kintone_quiz_stats_v1 の中身そのもの（{ quizRun, byId }）→ stats だけのバックアップとして扱う
+ *   - version 1（notes なし）→ 空の notes を足す
+ */
+function migrateBackup(data) {
+  if (data && typeof data === "object" && !data.format && data.byId && typeof data.byId === "object") {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: null,
+      stats: data,
+      history: { attempts: [] },
+      settings: null,
+      notes: { byId: {} },
+    };
   }
+  if (data && typeof data === "object" && data.format === BACKUP_FORMAT && data.version === 1) {
+    return { ...data, version: BACKUP_VERSION, notes: { byId: {} } };
+  }
+  return data;
 }
 
+// 形式チェック：問題があればエラーメッセージの配列を返す（空なら OK）
+function validateBackup(data) {
+  const errors = [];
+  if (!data || typeof data !== "object") return ["JSON の中身がオブジェクトではありません"];
 
-/***********************
- * 結果画面
- ***********************/
-function showResult() {
-  showScreen("result");
+  if (data.format !== BACKUP_FORMAT) errors.push(`format が "${BACKUP_FORMAT}" ではありません`);
+  if (typeof data.version !== "number") {
+    errors.push("version がありません");
+  } else if (data.version > BACKUP_VERSION) {
+    errors.push(`新しい形式（version ${data.version}）のファイルです。アプリを更新してください`);
+  }
 
-  scoreSummaryEl.textContent = `あなたのスコア：${scoreCount} / ${currentQuizQuestions.length}`;
+  const stats = data.stats;
+  if (!stats || typeof stats !== "object" || !stats.byId || typeof stats.byId !== "object") {
+    errors.push("stats.byId がありません");
+  } else {
+    for (const [id, s] of Object.entries(stats.byId)) {
+      if (!s || typeof s !== "object" || typeof (s.seen ?? 0) !== "number") {
+        errors.push(`stats.byId["${id}"] の形式が不正です`);
+        break;
+      }
+    }
+  }
 
-  // レビュー表示
-  reviewContainer.innerHTML = "";
+  const attempts = data.history?.attempts;
+  if (!Array.isArray(attempts)) {
+    errors.push("history.attempts が配列ではありません");
+  } else if (attempts.some(a => !a || typeof a.id !== "string" || typeof a.at !== "number" || typeof a.isCorrect !== "boolean")) {
+    errors.push("history.attempts に形式が不正な回答があります");
+  }
 
-  currentQuizQuestions.forEach((q, i) => {
-    const state = questionStates[i];
-    const userIndexes = Array.from(new Set(userAnswers[i])).sort((a, b) => a - b);
+  if (data.settings != null && typeof data.settings !== "object") {
+    errors.push("settings の形式が不正です");
+  }
 
-    const correctIndexes = q.choices
-      .map((choice, idx) => (choice.isCorrect ? idx : null))
-      .filter(idx => idx !== null);
+  const notes = data.notes;
+  if (!notes || typeof notes !== "object" || !notes.byId || typeof notes.byId !== "object") {
+    errors.push("notes.byId がありません");
+  } else if (Object.values(notes.byId).some(n => !n || typeof n !== "object" || typeof (n.note ?? "") !== "string")) {
+    errors.push("notes.byId に形式が不正なメモがあります");
+  }
 
-    const userLabels = userIndexes.map(indexToLabel);
-    const correctLabels = correctIndexes.map(indexToLabel);
+  return errors;
+}
 
-    const userText = userLabels.length ? userLabels.join(", ") : "（未回答）";
-    const correctText = correctLabels.join(", ");
+/**
+ * 統計のマージ：
+ *   - seen は多い方
+ *   - 間隔反復の状態は「採点回数（reps + lapses）が多い方」、同じなら復習日が遅い方を採用
+ *   - lastSeen は端末ごとの回数なので手元の値を残す
+ */
+function mergeQuizStats(local, incoming) {
+  const merged = { quizRun: Math.max(local.quizRun || 0, incoming.quizRun || 0), byId: { ...local.byId } };
+
+  for (const [id, inc] of Object.entries(incoming.byId)) {
+    const cur = merged.byId[id];
+    if (!cur) {
+      merged.byId[id] = { ...inc };
+      continue;
+    }
+    const reviews = (s) => (s.reps || 0) + (s.lapses || 0);
+    const newer = (reviews(inc) > reviews(cur) || (reviews(inc) === reviews(cur) && (inc.due || 0) > (cur.due || 0)))
+      ? inc
+      : cur;
+    merged.byId[id] = {
+      ...newer,
+      seen: Math.max(cur.seen || 0, inc.seen || 0),
+      lastSeen: cur.lastSeen,
+    };
+  }
 
-    const div = document.createElement("div");
-    div.className = "review-item";
+  return merged;
+}
 
-    div.innerHTML = `
-      <div class="review-head">
-        <span class="badge">Q${i + 1}</span>
-        <span class="${state.isCorrect ? "ok" : "ng"}">${state.isCorrect ? "正解" : "不正解"}</span>
-        <span class="muted">（問題ID：${escapeHTML(q.id)}）</span>
-      </div>
-      <div class="review-q">${escapeHTML(q.text)}</div>
-      <div class="muted">あなたの回答：${escapeHTML(userText)} / 正解：${escapeHTML(correctText)}</div>
-    `;
+// ブックマーク・メモのマージ：問題ごとに更新日時が新しい方を採用
+function mergeQuestionNotes(local, incoming) {
+  const merged = { byId: { ...local.byId } };
+  for (const [id, inc] of Object.entries(incoming.byId)) {
+    const cur = merged.byId[id];
+    if (!cur || (inc.updatedAt || 0) > (cur.updatedAt || 0)) merged.byId[id] = { ...inc };
+  }
+  return merged;
+}
 
-    reviewContainer.appendChild(div);
+// 回答履歴のマージ：同じ問題・同じ日時の回答は 1 件にまとめる
+function mergeAnswerHistory(local, incoming) {
+  const keyOf = (a) => `${a.id}|${a.at}`;
+  const map = new Map();
+  [...local.attempts, ...incoming.attempts].forEach(a => {
+    if (!map.has(keyOf(a))) map.set(keyOf(a), a);
   });
+  return { attempts: Array.from(map.values()).sort((a, b) => a.at - b.at) };
+}
+
+function exportBackup() {
+  const json = JSON.stringify(buildBackup(), null, 2);
+  downloadTextFile(`kintone-quiz-backup-${formatDateKey(Date.now())}.json`, json, "application/json");
+  backupStatusEl.textContent = "学習データを書き出しました。";
+}
+
+function downloadTextFile(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function importBackupFile(file) {
+  if (!file) return;
+
+  let data;
+  try {
+    data = migrateBackup(JSON.parse(await file.text()));
+  } catch (e) {
+    backupStatusEl.textContent = `読み込めませんでした（JSON として解釈できません：${e?.message ?? e}）`;
+    return;
+  }
+
+  const errors = validateBackup(data);
+  if (errors.length > 0) {
+    backupStatusEl.textContent = `読み込めませんでした：${errors.join(" / ")}`;
+    return;
+  }
+
+  const checked = document.querySelector('input[name="backup-mode"]:checked');
+  const mode = checked ? checked.value : "merge";
+
+  if (mode === "replace") {
+    if (!confirm("今の学習データをすべて置き換えます。よろしいですか？")) return;
+    saveQuizStats(data.stats);
+    saveAnswerHistory(data.history);
+    saveQuestionNotes(data.notes);
+    if (data.settings) saveSettings({ ...defaultSettings(), ...data.settings });
+  } else {
+    saveQuizStats(mergeQuizStats(loadQuizStats(), data.stats));
+    saveAnswerHistory(mergeAnswerHistory(loadAnswerHistory(), data.history));
+    saveQuestionNotes(mergeQuestionNotes(loadQuestionNotes(), data.notes));
+    // 設定は手元のものを優先（マージ時は取り込まない）
+  }
+
+  quizSettings = loadSettings();
+  applyQuizConfigInputs();
+  renderQuizFilters();
+  updateQuizSourceStatus();
+
+  const done = mode === "replace" ? "置き換えました" : "マージしました";
+  backupStatusEl.textContent =
+    `学習データを${done}（統計 ${Object.keys(data.stats.byId).length}問 / 回答履歴 ${data.history.attempts.length}件 / ブックマーク・メモ ${Object.keys(data.notes.byId).length}問）。`;
+}
+
+function setupBackupPanel() {
+  if (backupExportBtn) backupExportBtn.addEventListener("click", exportBackup);
+  if (backupImportInput) {
+    backupImportInput.addEventListener("change", () => {
+      importBackupFile(backupImportInput.files?.[0]);
+      backupImportInput.value = "";
+    });
+  }
 }
 
 
@@ -777,7 +2904,7 @@ function buildCopyTextForQuestion(qId) {
   const choices = Array.isArray(qOriginal?.choices) ? qOriginal.choices : (q.choices ?? []);
   const correctChoices = choices.filter(c => c.isCorrect).map(c => (c.rawText ?? c.text ?? ""));
 
-  const exp = (q.id && explanationsById && explanationsById[q.id]) ? explanationsById[q.id] : null;
+  const exp = q.id ? getExplanation(q.id) : null;
   const body = exp?.body ?? "";
 
   const lines = [];
@@ -850,14 +2977,337 @@ async function copyForEditCurrentQuestion() {
 }
 
 
+/***********************
+ * 解説エディタ
+ *  - 今の問題の title / body / links を編集し、ローカル上書きとして保存
+ *  - explanations.json（元の文面）との差分表示
+ *  - 上書きを反映した explanations.json の書き出し
+ ***********************/
+// links ⇔ テキストエリア（1行に「ラベル | URL」）
+function linksToText(links) {
+  return (links || []).map(l => (l.label ? `${l.label} | ${l.url ?? ""}` : String(l.url ?? ""))).join("\n");
+}
+
+function textToLinks(text) {
+  return String(text ?? "")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const pos = line.lastIndexOf("|");
+      if (pos < 0) return { label: line, url: line };
+      return { label: line.slice(0, pos).trim(), url: line.slice(pos + 1).trim() };
+    });
+}
+
+function openExplanationEditor() {
+  const q = currentQuizQuestions[currentIndex];
+  if (!q || !explainEditorEl) return;
+
+  const exp = getExplanation(q.id) || {};
+  explainEditorEl.dataset.qid = q.id;
+  editorTitleInput.value = exp.title ?? "";
+  editorBodyInput.value = exp.body ?? "";
+  editorLinksInput.value = linksToText(exp.links);
+  editorDiffEl.innerHTML = "";
+  updateEditorStatus();
+
+  explainEditorEl.classList.remove("hidden");
+  editorTitleInput.focus();
+}
+
+function closeExplanationEditor() {
+  if (!explainEditorEl) return;
+  explainEditorEl.classList.add("hidden");
+  delete explainEditorEl.dataset.qid;
+}
+
+function updateEditorStatus() {
+  const id = explainEditorEl.dataset.qid;
+  const overrides = loadExplanationOverrides().byId;
+  const count = Object.keys(overrides).length;
+  const o = overrides[id];
+
+  let text = o
+    ? `問題ID ${id}：ローカルで上書き中（${new Date(o.updatedAt).toLocaleString()} 保存）`
+    : explanationsById[id]
+      ? `問題ID ${id}：explanations.json の内容`
+      : packExplanationsById[id] ? `問題ID ${id}：問題パックの解説` : `問題ID ${id}：未登録`;
+  text += ` / 上書き中の解説：全${count}件`;
+  editorStatusEl.textContent = text;
+  editorRevertBtn.disabled = !o;
+}
+
+function saveExplanationEdit() {
+  const id = explainEditorEl.dataset.qid;
+  if (!id) return;
+
+  const overrides = loadExplanationOverrides();
+  overrides.byId[id] = {
+    id,
+    title: editorTitleInput.value.trim(),
+    body: editorBodyInput.value.replace(/\r\n/g, "\n").trim(),
+    links: textToLinks(editorLinksInput.value),
+    updatedAt: new Date().toISOString(),
+  };
+  saveExplanationOverrides(overrides);
+  updateEditorStatus();
+}
+
+function revertExplanationEdit() {
+  const id = explainEditorEl.dataset.qid;
+  if (!id) return;
+  if (!confirm(`問題ID ${id} の上書きを削除して、explanations.json の内容に戻しますか？`)) return;
+
+  const overrides = loadExplanationOverrides();
+  delete overrides.byId[id];
+  saveExplanationOverrides(overrides);
+  openExplanationEditor();
+}
+
+/**
+ * 行単位の差分（LCS）
+ * 戻り値：[{ type: "same" | "add" | "del", line }]
+ */
+function diffLines(before, after) {
+  const a = String(before ?? "").split("\n");
+  const b = String(after ?? "").split("\n");
+  const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: "same", line: a[i] });
+      i++; j++;
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+      out.push({ type: "del", line: a[i++] });
+    } else {
+      out.push({ type: "add", line: b[j++] });
+    }
+  }
+  while (i < a.length) out.push({ type: "del", line: a[i++] });
+  while (j < b.length) out.push({ type: "add", line: b[j++] });
+  return out;
+}
+
+// 元の文面（explanations.json / 問題パック）と、編集中の内容の差分を表示
+function showExplanationDiff() {
+  const id = explainEditorEl.dataset.qid;
+  const shipped = getShippedExplanation(id) || {};
+  const fields = [
+    { name: "title", before: shipped.title ?? "", after: editorTitleInput.value.trim() },
+    { name: "body",  before: shipped.body ?? "",  after: editorBodyInput.value.replace(/\r\n/g, "\n").trim() },
+    { name: "links", before: linksToText(shipped.links), after: linksToText(textToLinks(editorLinksInput.value)) },
+  ];
+
+  let html = "";
+  for (const f of fields) {
+    const diff = diffLines(f.before, f.after);
+    const changed = diff.some(d => d.type !== "same");
+    html += `<div class="diff-field"><div class="muted">${f.name}${changed ? "" : "（変更なし）"}</div>`;
+    if (changed) {
+      html += `<pre class="diff">`;
+      diff.forEach(d => {
+        const mark = d.type === "add" ? "+" : d.type === "del" ? "-" : " ";
+        html += `<span class="diff-${d.type}">${mark} ${escapeHTML(d.line)}</span>\n`;
+      });
+      html += `</pre>`;
+    }
+    html += `</div>`;
+  }
+  editorDiffEl.innerHTML = html;
+}
+
+function exportMergedExplanations() {
+  const json = JSON.stringify(buildMergedExplanations(), null, 2);
+  downloadTextFile("explanations.json", `${json}\n`, "application/json");
+}
+
+function setupExplanationEditor() {
+  if (!explainEditorEl) return;
+  if (editExplainBtn) editExplainBtn.addEventListener("click", openExplanationEditor);
+  editorSaveBtn.addEventListener("click", saveExplanationEdit);
+  editorRevertBtn.addEventListener("click", revertExplanationEdit);
+  editorDiffBtn.addEventListener("click", showExplanationDiff);
+  editorExportBtn.addEventListener("click", exportMergedExplanations);
+  editorCloseBtn.addEventListener("click", closeExplanationEditor);
+}
+
+
+/***********************
+ * Service Worker（登録と更新の通知）
+ *  - 新しい SW が待機状態になったら「新しいバージョンがあります」を出す
+ *  - 「再読み込み」で待機中の SW に SKIP_WAITING を送り、切り替わったらページを読み直す
+ *  - キャッシュの explanations.json と最新版の asOf が違うと SW から知らせが来るので、同じバナーを出す
+ ***********************/
+let waitingServiceWorker = null;
+let reloadingForUpdate = false;
+
+function showUpdateBanner(message) {
+  if (!updateBannerEl) return;
+  updateBannerTextEl.textContent = message;
+  updateBannerEl.classList.remove("hidden");
+}
+
+function applyUpdate() {
+  if (waitingServiceWorker) {
+    // 切り替わると controllerchange が来るので、そこで読み直す
+    waitingServiceWorker.postMessage({ type: "SKIP_WAITING" });
+    return;
+  }
+  location.reload();
+}
+
+function watchWaitingWorker(registration) {
+  // 初回インストール（まだ controller がない）は「更新」ではないので知らせない
+  if (!navigator.serviceWorker.controller) return;
+
+  if (registration.waiting) {
+    waitingServiceWorker = registration.waiting;
+    showUpdateBanner("新しいバージョンがあります。");
+    return;
+  }
+
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        waitingServiceWorker = worker;
+        showUpdateBanner("新しいバージョンがあります。");
+      }
+    });
+  });
+}
+
+// 受信の準備は起動直後に済ませ（explanations.json の知らせを取りこぼさないため）、登録自体は load 後に行う
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloadingForUpdate) return;
+    reloadingForUpdate = true;
+    location.reload();
+  });
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    const data = event.data || {};
+    if (data.type === "SOURCE_STATUS") {
+      renderOfflineStatus(data);
+    } else if (data.type === "EXPLANATIONS_UPDATED") {
+      const from = data.cachedAsOf || "不明";
+      const to = data.networkAsOf || "不明";
+      showUpdateBanner(`新しいバージョンがあります（解説データ：${from} → ${to}）。`);
+    }
+  });
+
+  window.addEventListener("load", async () => {
+    try {
+      const registration = await navigator.serviceWorker.register("./sw.js");
+      watchWaitingWorker(registration);
+    } catch (e) {
+      console.warn("SW registration failed:", e);
+      renderOfflineStatus(null);
+    }
+  });
+}
+
+
+/***********************
+ * オフライン対応の状態
+ *  - 問題データを読み込んだら、使っているファイルを SW に伝えてキャッシュしてもらう（CACHE_SOURCES）
+ *  - SW からファイルごとの状態（SOURCE_STATUS）が返ってきたら、スタート画面に表示する
+ *  - 取り込んだファイルは IndexedDB にあるので、ここでは扱わない
+ ***********************/
+const SOURCE_STATE_LABELS = {
+  fresh: "最新",
+  stale: "キャッシュ",
+  shell: "キャッシュ済み",
+  missing: "未キャッシュ",
+};
+
+// SW に渡すファイル（asset-manifest.js と同じ "./" + URL エンコードの形）
+function currentSourceUrls() {
+  const files = [PACK_MANIFEST_FILE, ...questionSources.filter(s => s.origin === "bundled").map(s => s.file)];
+  // 読み込めなかった同梱ファイルも、オフラインで使えないことが分かるよう含めておく
+  sourceErrors.forEach(e => { if (!files.includes(e.file)) files.push(e.file); });
+  return [...files, "explanations.json"].map(f => `./${encodeURI(f)}`);
+}
+
+async function requestSourceCaching() {
+  if (!("serviceWorker" in navigator)) {
+    renderOfflineStatus(null);
+    return;
+  }
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    const worker = navigator.serviceWorker.controller || registration.active;
+    if (worker) worker.postMessage({ type: "CACHE_SOURCES", files: currentSourceUrls() });
+  } catch (e) {
+    console.warn("オフライン用のキャッシュを依頼できませんでした:", e);
+  }
+}
+
+/**
+ * status = { files: [{ file, state, cachedAt, error? }], offlineReady } / null（SW が使えない）
+ */
+function renderOfflineStatus(status) {
+  if (!offlineStatusEl) return;
+
+  if (!status) {
+    offlineStatusEl.className = "offline-status muted";
+    offlineStatusEl.textContent = "オフライン対応：この環境では使えません（https または localhost で開いてください）";
+    return;
+  }
+
+  const missing = status.files.filter(f => f.state === "missing");
+  const stale = status.files.filter(f => f.state === "stale");
+  const summary = status.offlineReady
+    ? (stale.length > 0
+      ? `オフライン対応：準備完了（${stale.length}ファイルは前回キャッシュした内容）`
+      : "オフライン対応：準備完了")
+    : `オフライン対応：${missing.length}ファイルがキャッシュされていません（オフラインではその問題は出題されません）`;
+
+  const items = status.files.map(f => {
+    const name = decodeURI(f.file.replace(/^\.\//, ""));
+    const when = f.cachedAt ? `（${new Date(f.cachedAt).toLocaleString("ja-JP")}）` : "";
+    const cls = f.state === "missing" ? "ng" : f.state === "stale" ? "" : "muted";
+    return `<li><code>${escapeHTML(name)}</code>：<span class="${cls}">${SOURCE_STATE_LABELS[f.state] || escapeHTML(f.state)}${escapeHTML(when)}</span></li>`;
+  }).join("");
+
+  offlineStatusEl.className = `offline-status ${status.offlineReady ? "ready" : "not-ready"}`;
+  offlineStatusEl.innerHTML = `<details><summary>${escapeHTML(summary)}</summary><ul>${items}</ul></details>`;
+}
+
+
 /***********************
  * 初期化
  ***********************/
 document.addEventListener("DOMContentLoaded", () => {
+  // Service Worker（オフライン対応・更新の通知）
+  registerServiceWorker();
+  if (updateReloadBtn) updateReloadBtn.addEventListener("click", applyUpdate);
+
+  // 出題条件（前回の設定を復元）
+  setupQuizConfig();
+
   showScreen("start");
 
-  // CSV から問題バンク読み込み
-  loadQuestionBank();
+  // packs.json の問題データ＋取り込み済みファイルから問題バンク読み込み
+  //   共有リンク（?seed=…&ids=…）で開いたときは、読み込み後にそのクイズを始める
+  loadQuestionBank().then(startQuizFromLink);
+  setupImportPanel();
+  setupBackupPanel();
+  setupExplanationEditor();
+  setupBrowse();
+  setupQuestionNotes();
 
   // explanations.json から解説レイヤーを読み込み（あれば）
   loadExplanations();
@@ -867,6 +3317,24 @@ document.addEventListener("DOMContentLoaded", () => {
   gradeBtn.addEventListener("click", gradeCurrentQuestion);
   explainBtn.addEventListener("click", showExplanation);
   nextBtn.addEventListener("click", goToNextQuestion);
-  restartBtn.addEventListener("click", startQuiz);
+  if (prevBtn) prevBtn.addEventListener("click", goToPrevQuestion);
+  if (flagBtn) flagBtn.addEventListener("click", toggleFlag);
+  if (submitBtn) submitBtn.addEventListener("click", () => submitExam(false));
+  document.addEventListener("keydown", handleQuizKeydown);
+  if (resumeBtn) resumeBtn.addEventListener("click", resumeQuizSession);
+  if (discardSessionBtn) {
+    discardSessionBtn.addEventListener("click", () => {
+      if (confirm("途中の問題を破棄しますか？（採点していない問題は出題しなかったことになります）")) {
+        discardQuizSession();
+      }
+    });
+  }
+  restartBtn.addEventListener("click", restartQuiz);
+  if (homeBtn) homeBtn.addEventListener("click", () => showScreen("start"));
+  if (shareBtn) shareBtn.addEventListener("click", shareCurrentQuiz);
+  if (dashboardBtn) dashboardBtn.addEventListener("click", showDashboard);
+  if (validateBtn) validateBtn.addEventListener("click", showValidationReport);
+  if (validationBackBtn) validationBackBtn.addEventListener("click", () => showScreen("start"));
+  if (dashboardBackBtn) dashboardBackBtn.addEventListener("click", () => showScreen("start"));
   if (copyEditBtn) copyEditBtn.addEventListener("click", copyForEditCurrentQuestion);
 });
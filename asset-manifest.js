@@ -0,0 +1,20 @@
+// 自動生成：node update-asset-manifest.js で作り直す（手で編集しない）
+// Service Worker が importScripts で読み込み、キャッシュのバージョンとキャッシュ対象に使う
+self.ASSET_MANIFEST = {
+  "version": "c37bb1d5d4a5",
+  "files": {
+    "./index.html": "5624b9d508e2",
+    "./style.css": "2a9b0284058d",
+    "./csv-parser.js": "f9799558c8c8",
+    "./question-bank.js": "88b5e330a99e",
+    "./question-sources.js": "4a5fc84936d9",
+    "./quiz-engine.js": "b4ae187ccb39",
+    "./validator.js": "a61fdd95e5f3",
+    "./app.js": "563597055033",
+    "./manifest.webmanifest": "b107399eb106",
+    "./icon-192.png": "6aa260349fdd",
+    "./icon-512.png": "0eaad196238c",
+    "./apple-touch-icon.png": "6ffee778efe4",
+    "./explanations.json": "730f25bc0c69"
+  }
+};
@@ -0,0 +1,162 @@
+// CSV パーサ
+// - バイト列の文字コード判定（BOM / UTF-8 / Shift_JIS）と、CSV / TSV の分解をまとめたファイル
+// - 書式の誤り（閉じていないクォートなど）は、何行目・何文字目かを付けて返す
+
+
+/***********************
+ * 文字コード
+ *   bytes は ArrayBuffer / Uint8Array（Node の Buffer を含む）
+ ***********************/
+// UTF-8 として読めるか（読めなければ Excel が保存した Shift_JIS とみなす）
+export function isValidUtf8(bytes) {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * バイト列 → テキスト
+ *   - BOM があればそれに従う（UTF-8 / UTF-16LE / UTF-16BE）。BOM はテキストに残さない
+ *   - BOM がなければ UTF-8 として読み、読めなければ Shift_JIS として読む
+ *   戻り値：{ text, encoding: "utf-8" | "utf-16le" | "utf-16be" | "shift_jis", bom: boolean }
+ */
+export function decodeCsvBytes(bytes) {
+  const view = ArrayBuffer.isView(bytes)
+    ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    : new Uint8Array(bytes);
+
+  const boms = [
+    { encoding: "utf-8",    mark: [0xEF, 0xBB, 0xBF] },
+    { encoding: "utf-16le", mark: [0xFF, 0xFE] },
+    { encoding: "utf-16be", mark: [0xFE, 0xFF] },
+  ];
+  const bom = boms.find(b => b.mark.every((v, i) => view[i] === v));
+  if (bom) {
+    return { text: new TextDecoder(bom.encoding).decode(view.subarray(bom.mark.length)), encoding: bom.encoding, bom: true };
+  }
+
+  const encoding = isValidUtf8(view) ? "utf-8" : "shift_jis";
+  return { text: new TextDecoder(encoding).decode(view), encoding, bom: false };
+}
+
+
+/***********************
+ * CSV の分解
+ ***********************/
+/**
+ * CSV / TSV のテキスト → 行の配列
+ *   options.delimiter … 区切り文字（既定 ","。TSV は "\t"）
+ *
+ * 書式：
+ *   - "..." で囲んだセルの中では、区切り文字・改行（\r を含む）をそのまま値に残す。"" は " 1 文字
+ *   - クォートの外の改行は \r\n / \n / \r のどれでもよい
+ *   - 先頭の BOM は取り除く
+ *   - 空白しかない行は捨てる
+ *
+ * 戻り値：{ rows: string[][], errors: [{ line, column, message }] }
+ *   line / column は 1 始まり（column は行頭からの文字数）。誤りがあっても読める範囲で rows を返す
+ *   - クォートが閉じていない（ファイルの終わりまでが 1 つのセルになる）
+ *   - 閉じクォートの後に区切り文字・改行以外の文字がある（文字はセルに足す）
+ *   - クォートで囲んでいないセルの途中に " がある（文字として扱う）
+ *   - 列の数が 1 行目と違う
+ */
+export function parseCsvText(text, options = {}) {
+  const delimiter = options.delimiter ?? ",";
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+
+  const rows = [];
+  const errors = [];
+  const error = (line, column, message) => errors.push({ line, column, message });
+
+  let row = [];
+  let cur = "";
+  let inQuotes = false;
+  let afterQuote = false; // 閉じクォートの直後（区切り文字か改行が来るはず）
+
+  let line = 1;
+  let column = 0;
+  let rowLine = 1;            // いま読んでいる行が始まった行番号
+  let quoteStart = null;      // 開いたクォートの位置 { line, column }
+
+  const pushCell = () => {
+    row.push(cur);
+    cur = "";
+    afterQuote = false;
+  };
+  const pushRow = () => {
+    pushCell();
+    // 空行っぽいものは捨てる
+    if (row.some(c => c.trim() !== "")) rows.push({ cells: row, line: rowLine });
+    row = [];
+  };
+  const newLine = () => {
+    line++;
+    column = 0;
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    column++;
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        // "" → " にエスケープされているケース
+        cur += '"';
+        i++;
+        column++;
+      } else if (ch === '"') {
+        inQuotes = false;
+        afterQuote = true;
+      } else {
+        // 改行も値に残す（\r\n は \n のところで 1 行と数える）
+        cur += ch;
+        if (ch === "\n" || (ch === "\r" && src[i + 1] !== "\n")) newLine();
+      }
+      continue;
+    }
+
+    if (ch === delimiter) {
+      pushCell();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      pushRow();
+      newLine();
+      rowLine = line;
+    } else if (ch === '"' && cur === "" && !afterQuote) {
+      inQuotes = true;
+      quoteStart = { line, column };
+    } else {
+      if (afterQuote) {
+        error(line, column, "閉じクォートの後に文字があります（セルの値に含めました）");
+        afterQuote = false;
+      } else if (ch === '"') {
+        error(line, column, "クォートで囲まれていないセルの途中に \" があります（文字として扱いました）");
+      }
+      cur += ch;
+    }
+  }
+
+  if (inQuotes) {
+    error(quoteStart.line, quoteStart.column, "クォートが閉じられていません（ファイルの終わりまでを 1 つのセルとして読みました）");
+  }
+  if (cur !== "" || row.length > 0) pushRow();
+
+  // 列の数は 1 行目（ヘッダ）にそろっているはず
+  const width = rows.length > 0 ? rows[0].cells.length : 0;
+  rows.slice(1).forEach(r => {
+    if (r.cells.length !== width) {
+      error(r.line, 1, `列の数が 1 行目と違います（${r.cells.length}列 / 1 行目は${width}列）`);
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { rows: rows.map(r => r.cells), errors };
+}
+
+// 行の配列だけが欲しいとき用（誤りは無視する）
+export function parseCSV(text, delimiter = ",") {
+  return parseCsvText(text, { delimiter }).rows;
+}
@@ -0,0 +1,351 @@
+// 問題バンク（CSV → 問題オブジェクト）
+// - DOM に依存しない処理だけをまとめたファイル
+// - CSV の分解は csv-parser.js（行の配列になったものをここで問題にする）
+
+
+/***********************
+ * URL の比較
+ ***********************/
+// URL の重複判定用：前後の空白・末尾のスラッシュを無視し、ホスト名は小文字で比べる
+export function normalizeUrlForCompare(url) {
+  const u = String(url ?? "").trim();
+  try {
+    const parsed = new URL(u);
+    return `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, "")}${parsed.search}${parsed.hash}`;
+  } catch {
+    return u.replace(/\/+$/, "");
+  }
+}
+
+
+/***********************
+ * 列スキーマ（result*.csv の列名ゆれを吸収）
+ ***********************/
+/**
+ * 論理フィールド → 列名の別名リスト。
+ *   - aliases は先頭から順に探し、最初に見つかった列を使う
+ *   - required の列が 1 つでも欠けているファイルは問題を作らない
+ *   - 練習サイトの出力バリエーションが増えたら、ここに別名を足すだけで読めるようにする
+ */
+function choiceColumns(label, required) {
+  return [
+    { key: `choice${label}`,    aliases: [`選択肢${label}`], required },
+    { key: `helpLabel${label}`, aliases: [`選択肢${label} ヘルプ参照先`, `関連リンク名${label}`] },
+    { key: `url${label}`,       aliases: [`選択肢${label} ヘルプ参照先URL`, `関連リンク${label}`] },
+    { key: `textRef${label}`,   aliases: [`選択肢${label} テキスト参照先`, `参照テキスト${label}`] },
+  ];
+}
+
+export const RESULT_CSV_SCHEMA = [
+  { key: "setNo",        aliases: ["練習問題セット", "セット"] },
+  { key: "qNo",          aliases: ["設問", "設問番号", "問題番号"] },
+  { key: "generatedAt",  aliases: ["生成日時"] },
+  { key: "category",     aliases: ["カテゴリ", "カテゴリー"] },
+  { key: "verdict",      aliases: ["正誤"] },
+  { key: "correct",      aliases: ["正答", "正解"], required: true },
+  { key: "userAnswer",   aliases: ["あなたの回答"] },
+  { key: "question",     aliases: ["出題内容", "問題文"], required: true },
+  ...choiceColumns("A", true),
+  ...choiceColumns("B", true),
+  ...choiceColumns("C", false),
+  ...choiceColumns("D", false),
+  { key: "examRevision", aliases: ["対応試験"] },
+];
+
+// 列名の比較用：BOM・前後の空白を除き、全角/連続スペースを半角1つにそろえる
+export function normalizeHeaderName(name) {
+  return String(name ?? "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * ヘッダ行をスキーマに当てはめる。
+ * 戻り値：
+ *   idx     … { [key]: 列番号 }（見つからなければ -1）
+ *   missing … 見つからなかった required 列（代表名）
+ *   unknown … スキーマのどの別名にも当たらなかった列名
+ */
+export function resolveColumns(headerRow, schema) {
+  const header = headerRow.map(normalizeHeaderName);
+  const idx = {};
+  const missing = [];
+  const used = new Set();
+
+  for (const field of schema) {
+    let found = -1;
+    for (const alias of field.aliases) {
+      found = header.indexOf(normalizeHeaderName(alias));
+      if (found >= 0) break;
+    }
+    idx[field.key] = found;
+    if (found >= 0) {
+      used.add(found);
+    } else if (field.required) {
+      missing.push(field.aliases[0]);
+    }
+  }
+
+  const unknown = header.filter((h, i) => h !== "" && !used.has(i));
+
+  return { idx, missing, unknown };
+}
+
+
+/***********************
+ * 設問文から選び方を読み取る
+ ***********************/
+const KANJI_DIGITS = { "一": 1, "二": 2, "三": 3, "四": 4, "五": 5 };
+
+/**
+ * 「すべて選びなさい」「2つ選びなさい」などの指示から、何個選ぶ問題かを返す
+ *   戻り値：{ multiple: boolean, count: number | null } / 指示が見つからなければ null
+ *     - すべて選ぶ  → { multiple: true,  count: null }
+ *     - N つ選ぶ    → { multiple: N > 1, count: N }
+ */
+export function inferSelectionFromText(text) {
+  const s = String(text ?? "");
+
+  if (/(すべて|全て|全部)(を)?選(びなさい|んでください|べ)/.test(s)) {
+    return { multiple: true, count: null };
+  }
+
+  const m = s.match(/([0-9０-９]+|[一二三四五])\s*つ(を)?選(びなさい|んでください|べ)/);
+  if (m) {
+    const raw = m[1];
+    const count = KANJI_DIGITS[raw] ?? Number(raw.replace(/[０-９]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0)));
+    if (Number.isInteger(count) && count > 0) return { multiple: count > 1, count };
+  }
+
+  return null;
+}
+
+
+/***********************
+ * 公式サイトでの回答（あなたの回答・正誤・生成日時）
+ ***********************/
+/**
+ * 「生成日時」（例："2025/07/10 14:41"）→ ms（端末のタイムゾーンで解釈）
+ * 読めなければ null
+ */
+export function parseResultDateTime(text) {
+  const m = String(text ?? "").trim().match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h = "0", mi = "0", sec = "0"] = m;
+  const at = new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(sec)).getTime();
+  return Number.isFinite(at) ? at : null;
+}
+
+/**
+ * 1 行分の「前回の回答」を取り出す
+ *   - あなたの回答・生成日時のどちらかが空／読めない行は null（回答日時がないと再読み込み時に重複を見分けられないため）
+ *   - 正誤が「正」「誤」以外（空など）のときは、回答と正答を突き合わせて決める
+ *   戻り値：{ at, chosenKeys: ["B","D"], isCorrect } | null
+ */
+export function parsePastAttempt(userAnswerRaw, verdictRaw, generatedAtRaw, correctKeys) {
+  const chosenKeys = Array.from(new Set(
+    String(userAnswerRaw ?? "").toUpperCase().split("").filter(ch => ["A", "B", "C", "D"].includes(ch))
+  )).sort();
+  const at = parseResultDateTime(generatedAtRaw);
+  if (chosenKeys.length === 0 || at === null) return null;
+
+  const verdict = String(verdictRaw ?? "").trim();
+  const isCorrect = verdict === "正" || verdict === "○"
+    ? true
+    : verdict === "誤" || verdict === "×"
+      ? false
+      : chosenKeys.join("") === [...correctKeys].sort().join("");
+
+  return { at, chosenKeys, isCorrect };
+}
+
+
+/***********************
+ * 問題オブジェクトの仕上げ（どの形式の問題データでも共通）
+ ***********************/
+/**
+ * 元データから取り出した項目に、採点・表示用の項目を足して問題オブジェクトにする
+ *   fields = { id, category, setNo, examRevision, text, textRaw, choices, pastAttempt }
+ *     choices は { id, text, rawText, isCorrect, helpUrl, helpLabel, textRef } の形（正答が 1 つ以上あること）
+ *   設問文の選ぶ数と正答の数が合わなければ report.selectionMismatches に足す（row は報告用の行番号）
+ */
+export function completeQuestion(fields, report, row) {
+  const correctCount = fields.choices.filter(c => c.isCorrect).length;
+
+  // 画面での選び方は設問文の指示を優先する（正答の数から決めると「複数選択可」で答えの数が漏れるため）
+  const fromText = inferSelectionFromText(fields.text);
+  const selection = fromText
+    ? { source: "text", ...fromText }
+    : { source: "key", multiple: correctCount > 1, count: null };
+
+  // 「すべて選ぶ」で正答が 1 つのことはあり得るので、個数の指示があるときだけ突き合わせる
+  if (fromText && fromText.count != null && fromText.count !== correctCount) {
+    // 選択肢の id は元データでの位置（CSV なら A〜D の列）
+    const keys = fields.choices.filter(c => c.isCorrect).map(c => String.fromCharCode(65 + c.id)).join("");
+    report.selectionMismatches.push({
+      row, id: fields.id,
+      message: `設問文は ${fromText.count}つ選ぶ指示ですが、正答は ${correctCount}つ（${keys}）です`,
+    });
+  }
+
+  return {
+    id: fields.id,               // 解説レイヤーと紐づけるための一意な ID
+    category: fields.category ?? "",
+    setNo: fields.setNo ?? "",   // 練習問題セット（絞り込み用）
+    examRevision: fields.examRevision ?? "", // 対応試験（例：2024年10月31日改定）
+    text: fields.text,
+    textRaw: fields.textRaw ?? fields.text,
+    choices: fields.choices,     // A/B/C/D に依存しない「内容＋正誤フラグ」
+    pastAttempt: fields.pastAttempt ?? null, // 公式サイトでの回答 { at, chosen: [本文], isCorrect } | null
+    isMultiple: correctCount > 1, // 正答が複数あるか（採点用）
+    selection,                   // 画面での選び方 { source: "text" | "key", multiple, count }
+  };
+}
+
+// 形式を問わず同じ形で返す読み込みレポート（buildQuestionsFromResultCsv の説明を参照）
+//   parseErrors はファイルの書式の誤り（CSV なら csv-parser.js の errors）。行の配列を受け取る関数では空のまま
+export function emptySourceReport() {
+  return { missing: [], unknown: [], skipped: [], warnings: [], selectionMismatches: [], parseErrors: [] };
+}
+
+
+/***********************
+ * CSV → 問題オブジェクト変換
+ * （result*.csv 専用のマッピング）
+ ***********************/
+/**
+ * result.csv 系の前提：
+ *   - 列の対応は RESULT_CSV_SCHEMA で解決する
+ *   - 「練習問題セット」「設問」から一意な id ("1-3" など) を採番
+ *   - 選択肢は { text, rawText, isCorrect, helpUrl, helpLabel, textRef } の形
+ *   - rawText は「原文厳格引用」用（trim しない）
+ *   - 「あなたの回答」「正誤」「生成日時」があれば、公式サイトでの回答を pastAttempt に入れる
+ *
+ * 戻り値：{ questions, report }
+ *   report = {
+ *     missing: string[],   // 見つからなかった必須列
+ *     unknown: string[],   // スキーマにない列
+ *     skipped: [{ row, id, reason }],   // 問題にできなかった行（row はヘッダを除いた何行目か）
+ *     warnings: [{ row, id, message }], // 問題にはしたが、データに怪しい点がある行
+ *     selectionMismatches: [{ row, id, message }], // 設問文の「何個選ぶか」と正答の数が合わない行
+ *     parseErrors: [],   // 書式の誤り（行の配列から作るここでは空。ファイルを読む側で csv-parser.js の結果を入れる）
+ *   }
+ */
+export function buildQuestionsFromResultCsv(rows) {
+  if (!rows || rows.length < 2) {
+    return { questions: [], report: emptySourceReport() };
+  }
+
+  const { idx, missing, unknown } = resolveColumns(rows[0], RESULT_CSV_SCHEMA);
+  const report = { ...emptySourceReport(), missing, unknown };
+  const skip = (row, id, reason) => report.skipped.push({ row, id, reason });
+
+  // 必須列が欠けている → 正答や設問が取れないので、このファイルは読まない
+  if (missing.length > 0) return { questions: [], report };
+
+  const questions = [];
+
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+
+    const getRaw = (i) => (i >= 0 && i < row.length ? (row[i] ?? "") : "");
+    const get = (i) => getRaw(i).trim();
+
+    const setNo = get(idx.setNo);
+    const qNo = get(idx.qNo);
+    const id = (setNo && qNo) ? `${setNo}-${qNo}` : `row-${r}`;
+
+    const category = get(idx.category);
+    const textRaw = getRaw(idx.question);
+    const text = textRaw.trim();
+    const correctRaw = get(idx.correct).toUpperCase();
+
+    if (!text) {
+      skip(r, id, "出題内容が空です");
+      continue;
+    }
+    if (!correctRaw) {
+      skip(r, id, "正答が空です");
+      continue;
+    }
+
+    // 正答列 "ABC" → ["A","B","C"] に分解（A〜D 以外の文字は無視）
+    const correctKeys = Array.from(
+      new Set(
+        correctRaw
+          .split("")
+          .filter(ch => ["A", "B", "C", "D"].includes(ch))
+      )
+    );
+    if (correctKeys.length === 0) {
+      skip(r, id, `正答「${correctRaw}」に A〜D が含まれていません`);
+      continue;
+    }
+
+    // 各選択肢を「中身＋正誤フラグ」で定義（A/B/C/D のラベル自体には依存しない）
+    const rawChoices = ["A", "B", "C", "D"].map(colKey => ({
+      colKey,
+      rawText: getRaw(idx[`choice${colKey}`]),
+      text: get(idx[`choice${colKey}`]),
+      helpUrl: get(idx[`url${colKey}`]),
+      helpLabel: get(idx[`helpLabel${colKey}`]),
+      textRef: get(idx[`textRef${colKey}`]),
+    }));
+
+    // 実際にテキストが入っている選択肢だけ抽出
+    const choices = [];
+    rawChoices.forEach((c, idxChoice) => {
+      if (!c.text) return;
+      choices.push({
+        // 「どの列から来たか」は id に残しておく（現状は使っていないがデバッグ用）
+        id: idxChoice,
+        text: c.text,
+        rawText: c.rawText ?? c.text,
+        isCorrect: correctKeys.includes(c.colKey),
+        helpUrl: c.helpUrl,
+        helpLabel: c.helpLabel,
+        textRef: c.textRef,
+      });
+    });
+
+    // 正答が空の選択肢を指している（例：正答 "D" なのに選択肢D が空）
+    const emptyKeys = rawChoices.filter(c => !c.text && correctKeys.includes(c.colKey)).map(c => c.colKey);
+
+    if (choices.length < 2) {
+      skip(r, id, `選択肢が ${choices.length} 個しかありません`);
+      continue;
+    }
+
+    if (!choices.some(c => c.isCorrect)) {
+      skip(r, id, `正答「${correctKeys.join("")}」がすべて空の選択肢を指しています`);
+      continue;
+    }
+    if (emptyKeys.length > 0) {
+      report.warnings.push({ row: r, id, message: `正答の ${emptyKeys.join(", ")} は空の選択肢です（無視しました）` });
+    }
+
+    // 公式サイトでの回答（選んだ列 → 選択肢の本文）
+    const past = parsePastAttempt(get(idx.userAnswer), get(idx.verdict), get(idx.generatedAt), correctKeys);
+    const pastAttempt = past
+      ? {
+        at: past.at,
+        chosen: past.chosenKeys.map(k => rawChoices.find(c => c.colKey === k)?.text).filter(Boolean),
+        isCorrect: past.isCorrect,
+      }
+      : null;
+
+    questions.push(completeQuestion({
+      id,
+      category,
+      setNo,
+      examRevision: get(idx.examRevision),
+      text,
+      textRaw,
+      choices,
+      pastAttempt,
+    }, report, r));
+  }
+
+  return { questions, report };
+}
@@ -0,0 +1,198 @@
+// 問題データの読み込み口（ソースアダプタ）
+// - ファイルの形式ごとに「バイト列 → テキスト → 問題オブジェクト」の変換をまとめる
+// - どのアダプタも question-bank.js の completeQuestion() を通した同じ形の問題を返すので、
+//   アプリ側（app.js / validator.js）は形式を気にせず parseQuestionSource() を呼べばよい
+import { isValidUtf8, decodeCsvBytes, parseCsvText } from "./csv-parser.js";
+import { buildQuestionsFromResultCsv, completeQuestion, emptySourceReport } from "./question-bank.js";
+
+
+/***********************
+ * 問題パックの一覧（packs.json）
+ ***********************/
+// 同梱の問題データの一覧（index.html と同じフォルダに配置）
+export const PACK_MANIFEST_FILE = "packs.json";
+
+/**
+ * packs.json = {
+ *   packs: [
+ *     { file: string, format?: "result-csv" | "question-pack" | "spreadsheet" }
+ *   ]  // 並び順に読む（同じ id の問題は先のファイルを優先）
+ * }
+ * format を省略したときは、ファイル名と中身から判定する
+ *   戻り値：[{ file, format }]（file が空のものは除く）
+ */
+export function readPackManifest(data) {
+  const packs = Array.isArray(data?.packs) ? data.packs : [];
+  return packs
+    .filter(p => p && typeof p.file === "string" && p.file.trim() !== "")
+    .map(p => ({ file: p.file.trim(), format: typeof p.format === "string" ? p.format : null }));
+}
+
+
+/***********************
+ * 結果CSV の形をした表（CSV / TSV）
+ ***********************/
+// 表のテキスト → 問題。書式の誤りは report.parseErrors に入れる
+function buildQuestionsFromTableText(text, delimiter) {
+  const { rows, errors } = parseCsvText(text, { delimiter });
+  const { questions, report } = buildQuestionsFromResultCsv(rows);
+  return { questions, explanations: [], report: { ...report, parseErrors: errors } };
+}
+
+
+/***********************
+ * 問題パック（JSON）
+ ***********************/
+export const QUESTION_PACK_FORMAT = "kintone-quiz-pack";
+
+/**
+ * 問題パック = {
+ *   format: "kintone-quiz-pack",
+ *   version: 1,
+ *   title?: string,
+ *   questions: [
+ *     {
+ *       id: string,                // 必須。解説・出題統計と紐づける
+ *       category?: string,
+ *       setNo?: string,
+ *       examRevision?: string,
+ *       text: string,              // 設問文
+ *       choices: [{ text, isCorrect, helpUrl?, helpLabel?, textRef? }],  // 2 個以上、正答 1 個以上
+ *       explanation?: { title, body, links: [{ label, url }] },         // 解説（explanations.json と同じ形）
+ *     }
+ *   ]
+ * }
+ *
+ * 戻り値：{ questions, explanations: [{ id, title, body, links }], report }
+ *   report は buildQuestionsFromResultCsv と同じ形（row は questions の何番目か。1 始まり）
+ */
+export function buildQuestionsFromPack(data) {
+  const report = emptySourceReport();
+  const questions = [];
+  const explanations = [];
+
+  if (!data || data.format !== QUESTION_PACK_FORMAT || !Array.isArray(data.questions)) {
+    report.missing.push(`format: "${QUESTION_PACK_FORMAT}" と questions`);
+    return { questions, explanations, report };
+  }
+
+  const str = (v) => String(v ?? "");
+
+  data.questions.forEach((item, i) => {
+    const row = i + 1;
+    const id = str(item?.id).trim();
+    const textRaw = str(item?.text);
+    const text = textRaw.trim();
+    const skip = (reason) => report.skipped.push({ row, id: id || `#${row}`, reason });
+
+    if (!id) return skip("id が空です");
+    if (!text) return skip("設問文（text）が空です");
+
+    const choices = (Array.isArray(item.choices) ? item.choices : [])
+      .map((c, idxChoice) => ({
+        id: idxChoice,
+        text: str(c?.text).trim(),
+        rawText: str(c?.text),
+        isCorrect: c?.isCorrect === true,
+        helpUrl: str(c?.helpUrl).trim(),
+        helpLabel: str(c?.helpLabel).trim(),
+        textRef: str(c?.textRef).trim(),
+      }))
+      .filter(c => c.text);
+
+    if (choices.length < 2) return skip(`選択肢が ${choices.length} 個しかありません`);
+    if (!choices.some(c => c.isCorrect)) return skip("正答（isCorrect: true）の選択肢がありません");
+
+    questions.push(completeQuestion({
+      id,
+      category: str(item.category).trim(),
+      setNo: str(item.setNo).trim(),
+      examRevision: str(item.examRevision).trim(),
+      text,
+      textRaw,
+      choices,
+    }, report, row));
+
+    const exp = item.explanation;
+    if (exp && (exp.title || exp.body)) {
+      explanations.push({
+        id,
+        title: str(exp.title),
+        body: str(exp.body),
+        links: (Array.isArray(exp.links) ? exp.links : [])
+          .filter(l => l && l.url)
+          .map(l => ({ label: str(l.label), url: str(l.url) })),
+      });
+    }
+  });
+
+  return { questions, explanations, report };
+}
+
+
+/***********************
+ * アダプタ一覧
+ ***********************/
+/**
+ * adapter = {
+ *   id: string,                       // packs.json の format、取り込んだファイルの記録に使う
+ *   label: string,                    // 画面表示用
+ *   accepts(file, bytes) → boolean,   // このアダプタで読めそうか（ファイル名と中身で判定）
+ *   decode(bytes) → string,           // バイト列 → テキスト（保存はテキストで行う）
+ *   parse(text) → { questions, explanations, report }
+ * }
+ * detectSourceAdapter() は先頭から順に accepts() を試す
+ */
+export const SOURCE_ADAPTERS = [
+  {
+    id: "result-csv",
+    label: "結果CSV",
+    accepts: (file, bytes) => /\.csv$/i.test(file) && isValidUtf8(bytes),
+    decode: (bytes) => decodeCsvBytes(bytes).text,
+    parse: (text) => buildQuestionsFromTableText(text, ","),
+  },
+  {
+    id: "question-pack",
+    label: "問題パック",
+    accepts: (file) => /\.json$/i.test(file),
+    decode: (bytes) => new TextDecoder("utf-8").decode(bytes),
+    parse: (text) => buildQuestionsFromPack(JSON.parse(text)),
+  },
+  {
+    // 結果CSVを Excel で開いて保存し直したもの（Shift_JIS の CSV / タブ区切り）
+    id: "spreadsheet",
+    label: "Excel で保存した表",
+    accepts: (file) => /\.(csv|tsv|txt)$/i.test(file),
+    decode: (bytes) => decodeCsvBytes(bytes).text,
+    // 1 行目にタブがあればタブ区切りとみなす
+    parse: (text) => buildQuestionsFromTableText(text, text.split("\n", 1)[0].includes("\t") ? "\t" : ","),
+  },
+];
+
+export function getSourceAdapter(id) {
+  return SOURCE_ADAPTERS.find(a => a.id === id) || null;
+}
+
+// 形式の指定がなければファイル名と中身から選ぶ。読めそうなアダプタがなければ null
+export function detectSourceAdapter(file, bytes, format = null) {
+  if (format) return getSourceAdapter(format);
+  return SOURCE_ADAPTERS.find(a => a.accepts(String(file ?? ""), bytes)) || null;
+}
+
+// ファイルの中身（バイト列）→ { format, text }。形式が分からなければ例外
+export function decodeQuestionSource(file, bytes, format = null) {
+  const adapter = detectSourceAdapter(file, bytes, format);
+  if (!adapter) throw new Error(format ? `未対応の形式です（${format}）` : "未対応のファイル形式です");
+  return { format: adapter.id, text: adapter.decode(bytes) };
+}
+
+/**
+ * テキストになった問題データ → { questions, explanations, report }
+ *   source = { file, text, format? }
+ *   format がない（この仕組みより前に取り込んだ CSV など）ときは結果CSVとして読む
+ */
+export function parseQuestionSource(source) {
+  const adapter = getSourceAdapter(source.format || "result-csv");
+  if (!adapter) throw new Error(`未対応の形式です（${source.format}）`);
+  return adapter.parse(String(source.text ?? ""));
+}
@@ -0,0 +1,509 @@
+// 出題エンジン
+// - 出題統計（間隔反復）・回答履歴・出題する問題の選び方・採点をまとめたモジュール（DOM には触らない）
+// - 保存先と乱数・現在時刻は createQuizEngine() に渡す
+//   ブラウザでは app.js が localStorage / Math.random / Date.now を、テストではメモリ上の保存先や固定の乱数を渡す
+// - 共有リンク（?seed=…&ids=…&count=…）で、同じ問題・同じ選択肢の順番を再現できる
+
+
+/***********************
+ * 設定
+ ***********************/
+// ★ できるだけ広く出題したい：学習回数（= 1回10問のセット）をこの回数で回すと、全問を一通り出しやすくする
+export const TARGET_RUNS_TO_SEE_ALL = 20;
+
+export const STATS_KEY = "kintone_quiz_stats_v1";
+export const HISTORY_KEY = "kintone_quiz_history_v1";
+
+// 古い回答から捨てる上限（localStorage の容量対策）
+export const MAX_HISTORY_ATTEMPTS = 5000;
+
+// 間隔反復のパラメータ（SM-2 の標準値）
+export const SRS_DEFAULT_EASE = 2.5;
+export const SRS_MIN_EASE = 1.3;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+/***********************
+ * 保存先を使わない処理
+ ***********************/
+// random は 0 以上 1 未満を返す関数（Math.random と同じ）
+export function shuffleArray(arr, random = Math.random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+export function getStat(stats, id) {
+  return stats.byId[id] || { seen: 0, lastSeen: -1 };
+}
+
+export function setStat(stats, id, value) {
+  stats.byId[id] = value;
+}
+
+/**
+ * 採点結果から次回の復習日を決める（SM-2 を正誤の 2 段階に簡略化）
+ *   - 正解：1日 → 3日 → 前回間隔×ease と伸ばし、ease を少し上げる
+ *   - 不正解：連続正解をリセットして「すぐ復習」に戻し、ease を下げる
+ */
+export function scheduleReview(stat, isCorrect, now = Date.now()) {
+  const ease = (typeof stat.ease === "number") ? stat.ease : SRS_DEFAULT_EASE;
+  const reps = stat.reps || 0;
+  const interval = stat.interval || 0;
+
+  if (isCorrect) {
+    const nextReps = reps + 1;
+    const nextInterval = nextReps === 1 ? 1 : nextReps === 2 ? 3 : Math.round(interval * ease);
+    return {
+      ...stat,
+      reps: nextReps,
+      lapses: stat.lapses || 0,
+      ease: ease + 0.1,
+      interval: nextInterval,
+      due: now + nextInterval * DAY_MS,
+    };
+  }
+
+  return {
+    ...stat,
+    reps: 0,
+    lapses: (stat.lapses || 0) + 1,
+    ease: Math.max(SRS_MIN_EASE, ease - 0.32),
+    interval: 0,
+    due: now,
+  };
+}
+
+// id → その問題の回答（古い → 新しい順）
+export function groupAttemptsById(history) {
+  const byId = {};
+  for (const a of history.attempts) {
+    if (!a || !a.id) continue;
+    (byId[a.id] ||= []).push(a);
+  }
+  return byId;
+}
+
+/**
+ * 選んだ選択肢を、採点方式に従って点数にする
+ *   userIndexes … 選んだ選択肢の位置（q.choices の並びで数える）
+ *   policy      … "strict" | "partial" | "penalty"（単一選択問題はどれでも 0 / 1 点）
+ *   戻り値 = {
+ *     isCorrect: boolean,     // 完全一致か
+ *     score: number,          // 0〜1
+ *     marks: string[],        // 選択肢ごと："correct"（選べた正解）/ "missed"（選び漏れ）/ "wrong"（誤って選んだ）/ ""
+ *   }
+ */
+export function scoreAnswer(q, userIndexes, policy) {
+  const selected = new Set(userIndexes);
+
+  const marks = q.choices.map((choice, idx) => {
+    if (choice.isCorrect) return selected.has(idx) ? "correct" : "missed";
+    return selected.has(idx) ? "wrong" : "";
+  });
+
+  const correctTotal = q.choices.filter(c => c.isCorrect).length;
+  const hits = marks.filter(m => m === "correct").length;
+  const wrongs = marks.filter(m => m === "wrong").length;
+  const isCorrect = hits === correctTotal && wrongs === 0;
+
+  let score = isCorrect ? 1 : 0;
+  if (q.isMultiple && correctTotal > 0) {
+    if (policy === "partial") {
+      score = hits / correctTotal;
+    } else if (policy === "penalty") {
+      score = Math.max(0, (hits - wrongs) / correctTotal);
+    }
+  }
+
+  return { isCorrect, score, marks };
+}
+
+
+/***********************
+ * 乱数の種・共有リンク
+ * 目的：同じリンクを開いた人が、同じ問題を同じ選択肢の順番で解けるようにする（勉強会で点数を比べる）
+ ***********************/
+// 種（32bit の整数）→ 0 以上 1 未満を返す関数（mulberry32）。同じ種なら同じ並びを返す
+export function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 新しいクイズの種
+export function newQuizSeed(random = Math.random) {
+  return Math.floor(random() * 2 ** 32);
+}
+
+// 文字列 → 32bit の整数（FNV-1a）
+function hashString(text) {
+  let h = 0x811C9DC5;
+  for (const ch of String(text)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// 選択肢の並び：種と問題 ID だけで決まる（一緒に出題したほかの問題には左右されない）
+export function shuffleChoices(q, seed) {
+  return shuffleArray(q.choices, createSeededRandom(seed ^ hashString(q.id)));
+}
+
+/**
+ * 共有リンクの URL パラメータ：?seed=…&ids=1-3,2-7&count=…
+ *   seed  … 選択肢の並び（ids がないときは問題の選び方も）を決める種（0〜4294967295）
+ *   ids   … 出題する問題 ID（この順に出す）
+ *   count … 出題数（ids があれば先頭から count 問）
+ * 戻り値：{ seed: number | null, ids: string[], count: number | null }（どれも付いていなければ null）
+ */
+export function parseQuizLink(search) {
+  const params = new URLSearchParams(search);
+  if (!["seed", "ids", "count"].some(key => params.has(key))) return null;
+
+  const seedRaw = (params.get("seed") || "").trim();
+  const seed = /^\d{1,10}$/.test(seedRaw) && Number(seedRaw) < 2 ** 32 ? Number(seedRaw) : null;
+  const ids = [...new Set((params.get("ids") || "").split(",").map(id => id.trim()).filter(Boolean))];
+  const countRaw = Number(params.get("count"));
+  const count = Number.isInteger(countRaw) && countRaw > 0 ? countRaw : null;
+
+  return { seed, ids, count };
+}
+
+// { seed, ids, count } → URL パラメータ（先頭の ? は付けない）。ID のカンマ区切りは読みやすいようにそのまま残す
+export function buildQuizLink({ seed, ids = [], count = null }) {
+  const parts = [`seed=${seed >>> 0}`];
+  if (ids.length > 0) parts.push(`ids=${ids.map(encodeURIComponent).join(",")}`);
+  if (count) parts.push(`count=${count}`);
+  return parts.join("&");
+}
+
+
+/***********************
+ * 保存先を使う処理
+ ***********************/
+/**
+ * options = {
+ *   storage,             // getItem / setItem を持つもの（localStorage など）
+ *   random?,             // 0 以上 1 未満を返す関数（既定は Math.random）
+ *   clock?,              // 現在時刻（ms）を返す関数（既定は Date.now）
+ *   targetRunsToSeeAll?, // 何回で全問を一通り出すか（既定は TARGET_RUNS_TO_SEE_ALL）
+ * }
+ */
+export function createQuizEngine(options) {
+  const {
+    storage,
+    random = Math.random,
+    clock = Date.now,
+    targetRunsToSeeAll = TARGET_RUNS_TO_SEE_ALL,
+  } = options;
+
+  /***********************
+   * 出題統計
+   * 目的：
+   *   - できるだけ広く出題されるように、直近で出した問題を避ける
+   *   - 間違えた問題・復習時期が来た問題を優先する（間隔反復：SM-2 方式）
+   ***********************/
+  /**
+   * stats = {
+   *   quizRun: number,
+   *   byId: {
+   *     [id]: {
+   *       seen: number,       // 出題された回数
+   *       lastSeen: number,   // 最後に出題された quizRun
+   *       // ↓ 採点したことがある問題だけ持つ（間隔反復用）
+   *       reps: number,       // 連続正解回数
+   *       lapses: number,     // 不正解になった回数
+   *       ease: number,       // 易しさ係数（SM-2 の EF）
+   *       interval: number,   // 次の復習までの間隔（日）
+   *       due: number,        // 次に復習すべき日時（ms）
+   *       // ↓ 学習モードで印を付けた問題だけ持つ（次に採点するまで有効）
+   *       studyMark: "understood" | "review",
+   *     }
+   *   }
+   * }
+   */
+  function loadQuizStats() {
+    try {
+      const raw = storage.getItem(STATS_KEY);
+      if (!raw) return { quizRun: 0, byId: {} };
+      const data = JSON.parse(raw);
+      if (!data || typeof data !== "object") return { quizRun: 0, byId: {} };
+      if (!data.byId) data.byId = {};
+      if (typeof data.quizRun !== "number") data.quizRun = 0;
+      return data;
+    } catch {
+      return { quizRun: 0, byId: {} };
+    }
+  }
+
+  function saveQuizStats(stats) {
+    try {
+      storage.setItem(STATS_KEY, JSON.stringify(stats));
+    } catch {
+      // ignore
+    }
+  }
+
+  // 採点のたびに呼ぶ：間隔反復の状態を更新して保存
+  //   学習モードの印は「採点するまでの自己申告」なので、採点したら外す
+  function recordGradeResult(id, isCorrect) {
+    const stats = loadQuizStats();
+    const { studyMark, ...stat } = getStat(stats, id);
+    setStat(stats, id, scheduleReview(stat, isCorrect, clock()));
+    saveQuizStats(stats);
+  }
+
+  // 学習モードの印を付ける / 外す（mark が null なら外す）
+  function setStudyMark(id, mark) {
+    const stats = loadQuizStats();
+    const { studyMark, ...stat } = getStat(stats, id);
+    setStat(stats, id, mark ? { ...stat, studyMark: mark } : stat);
+    saveQuizStats(stats);
+  }
+
+  // 出題した問題の出題回数を数えて、quizRun を進める
+  function markQuestionsSeen(stats, picked) {
+    const nextRun = (stats.quizRun || 0) + 1;
+    picked.forEach(q => {
+      const s = getStat(stats, q.id);
+      setStat(stats, q.id, { ...s, seen: (s.seen || 0) + 1, lastSeen: nextRun });
+    });
+    stats.quizRun = nextRun;
+    saveQuizStats(stats);
+  }
+
+  /**
+   * 出題ロジック：次の順で抽出
+   *   1. 復習時期が来た問題（間違えた回数が多い・期限を大きく過ぎたものほど先）
+   *   2. 未採点の問題（1回あたり「全問 ÷ targetRunsToSeeAll」問までに抑えて少しずつ導入）
+   *   3. 枠が余ったら、未採点 → 復習時期が近い問題 の順で補充
+   * 学習モードの印：
+   *   - 「要復習」は復習時期が来た問題として扱い、優先度を上げる
+   *   - 「理解した」未採点の問題は、未採点の中で後回しにする
+   */
+  function pickQuestions(all, n) {
+    const stats = loadQuizStats();
+    const nextRun = (stats.quizRun || 0) + 1;
+    const now = clock();
+
+    const scored = all.map(q => {
+      const s = getStat(stats, q.id);
+      const seen = s.seen || 0;
+      const lastSeen = (typeof s.lastSeen === "number") ? s.lastSeen : -1;
+
+      // lastSeen が -1（未出題）は優先
+      // それ以外は「今からどれだけ離れているか」で優先
+      const gap = (lastSeen < 0) ? 999999 : (nextRun - lastSeen);
+
+      // 期限超過の度合い（間隔に対して何倍遅れているか）＋ 間違えた回数
+      const review = s.studyMark === "review";
+      const graded = typeof s.due === "number" || review;
+      const due = review ? Math.min(s.due ?? now, now) : s.due;
+      const overdue = typeof s.due === "number" ? (now - s.due) / Math.max(s.interval || 0, 1) / DAY_MS : 0;
+      const priority = (review ? Math.max(0, overdue) + 1 : overdue) + (s.lapses || 0);
+      const understood = s.studyMark === "understood" ? 1 : 0;
+
+      return { q, seen, lastSeen, gap, graded, due, priority, understood, tie: random() };
+    });
+
+    // 未採点：「理解した」は後回し → gap 大きい（古い）→ seen 少ない → ランダム
+    const fresh = scored
+      .filter(x => !x.graded)
+      .sort((a, b) => (a.understood - b.understood) || (b.gap - a.gap) || (a.seen - b.seen) || (a.tie - b.tie));
+
+    // 復習時期が来たもの：priority 高い → ランダム
+    const dueNow = scored
+      .filter(x => x.graded && x.due <= now)
+      .sort((a, b) => (b.priority - a.priority) || (a.tie - b.tie));
+
+    // まだ復習時期ではないもの：期限が近い → 間違えた回数が多い
+    const later = scored
+      .filter(x => x.graded && x.due > now)
+      .sort((a, b) => (a.due - b.due) || (b.priority - a.priority) || (a.tie - b.tie));
+
+    const newQuota = Math.min(
+      fresh.length,
+      n,
+      Math.max(1, Math.ceil(all.length / targetRunsToSeeAll))
+    );
+
+    const pickedItems = [
+      ...dueNow.slice(0, n - newQuota),
+      ...fresh.slice(0, newQuota),
+    ];
+    const rest = [...fresh.slice(newQuota), ...dueNow.slice(n - newQuota), ...later];
+    while (pickedItems.length < n && rest.length > 0) {
+      pickedItems.push(rest.shift());
+    }
+
+    const picked = pickedItems.map(x => x.q);
+    markQuestionsSeen(stats, picked);
+
+    // 出題順は復習・新規が混ざるようにシャッフル
+    return shuffleArray(picked, random);
+  }
+
+  /**
+   * 共有リンク（parseQuizLink の戻り値）の問題を選ぶ
+   *   - ids があればその順に（問題データにない ID は飛ばす）
+   *   - なければ、全問を種でシャッフルした先頭から（同じ問題データなら誰が開いても同じ問題になる）
+   *   出題統計は pickQuestions と同じように数える
+   */
+  function pickLinkedQuestions(all, link) {
+    let picked;
+    if (link.ids.length > 0) {
+      const map = new Map(all.map(q => [q.id, q]));
+      picked = link.ids.map(id => map.get(id)).filter(Boolean);
+    } else {
+      picked = shuffleArray(all, createSeededRandom(link.seed ?? 0));
+    }
+    if (link.count) picked = picked.slice(0, link.count);
+
+    markQuestionsSeen(loadQuizStats(), picked);
+    return picked;
+  }
+
+  /**
+   * 学習で読む問題を選ぶ（出題統計は更新しない）
+   *   「要復習」→ 印なし → 「理解した」の順、同じ印の中はランダム
+   */
+  function pickStudyQuestions(all, n) {
+    const stats = loadQuizStats();
+    const rank = (q) => {
+      const mark = getStat(stats, q.id).studyMark;
+      return mark === "review" ? 0 : mark === "understood" ? 2 : 1;
+    };
+    return all
+      .map(q => ({ q, rank: rank(q), tie: random() }))
+      .sort((a, b) => (a.rank - b.rank) || (a.tie - b.tie))
+      .slice(0, n)
+      .map(x => x.q);
+  }
+
+  /***********************
+   * 回答履歴
+   * 目的：採点結果を 1 回ずつ残し、「間違えた問題を復習」などに使う
+   ***********************/
+  /**
+   * history = {
+   *   attempts: [
+   *     {
+   *       id: string,          // 問題ID
+   *       at: number,          // 回答日時（ms）
+   *       chosen: string[],    // 選んだ選択肢の本文（シャッフル後のラベルではなく中身で残す）
+   *       isCorrect: boolean,
+   *       source?: "csv",      // CSV の「あなたの回答」から取り込んだ回答（アプリ内の回答には付かない）
+   *     }
+   *   ]  // 古い → 新しい順
+   * }
+   */
+  function loadAnswerHistory() {
+    try {
+      const raw = storage.getItem(HISTORY_KEY);
+      if (!raw) return { attempts: [] };
+      const data = JSON.parse(raw);
+      if (!data || !Array.isArray(data.attempts)) return { attempts: [] };
+      return data;
+    } catch {
+      return { attempts: [] };
+    }
+  }
+
+  function saveAnswerHistory(history) {
+    try {
+      if (history.attempts.length > MAX_HISTORY_ATTEMPTS) {
+        history.attempts = history.attempts.slice(-MAX_HISTORY_ATTEMPTS);
+      }
+      storage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch {
+      // ignore
+    }
+  }
+
+  function recordAttempt(attempt) {
+    const history = loadAnswerHistory();
+    history.attempts.push(attempt);
+    saveAnswerHistory(history);
+  }
+
+  /**
+   * CSV の「あなたの回答」「正誤」「生成日時」を回答履歴に取り込む
+   *   - 同じ問題・同じ日時の回答がすでにあれば足さない（再読み込みしても増えない。バックアップのマージと同じ基準）
+   *   - 足した問題は、履歴の古い順に採点をやり直して復習日を決め直す（出題回数と学習モードの印はそのまま）
+   *   戻り値：取り込んだ回答の数
+   */
+  function seedHistoryFromQuestions(questions) {
+    const history = loadAnswerHistory();
+    const keyOf = (a) => `${a.id}|${a.at}`;
+    const known = new Set(history.attempts.map(keyOf));
+
+    const added = [];
+    for (const q of questions) {
+      const past = q.pastAttempt;
+      if (!past) continue;
+      const attempt = { id: q.id, at: past.at, chosen: past.chosen, isCorrect: past.isCorrect, source: "csv" };
+      if (known.has(keyOf(attempt))) continue;
+      known.add(keyOf(attempt));
+      added.push(attempt);
+    }
+    if (added.length === 0) return 0;
+
+    history.attempts = [...history.attempts, ...added].sort((a, b) => a.at - b.at);
+    saveAnswerHistory(history);
+
+    const byId = groupAttemptsById(history);
+    const stats = loadQuizStats();
+    for (const id of new Set(added.map(a => a.id))) {
+      const { seen, lastSeen, studyMark } = getStat(stats, id);
+      let stat = { seen, lastSeen };
+      for (const a of byId[id]) stat = scheduleReview(stat, a.isCorrect, a.at);
+      setStat(stats, id, studyMark ? { ...stat, studyMark } : stat);
+    }
+    saveQuizStats(stats);
+
+    return added.length;
+  }
+
+  /**
+   * 「間違えた問題」の抽出：
+   *   - 直近 lastN 回の回答に不正解が含まれる
+   *   - または、これまでに 2 回以上間違えている
+   */
+  function pickMistakeQuestions(all, lastN) {
+    const byId = groupAttemptsById(loadAnswerHistory());
+
+    return all.filter(q => {
+      const attempts = byId[q.id];
+      if (!attempts || attempts.length === 0) return false;
+      const recentMiss = attempts.slice(-lastN).some(a => !a.isCorrect);
+      const missCount = attempts.filter(a => !a.isCorrect).length;
+      return recentMiss || missCount >= 2;
+    });
+  }
+
+  return {
+    loadQuizStats,
+    saveQuizStats,
+    recordGradeResult,
+    setStudyMark,
+    pickQuestions,
+    pickLinkedQuestions,
+    pickStudyQuestions,
+    shuffleArray: (arr) => shuffleArray(arr, random),
+    loadAnswerHistory,
+    saveAnswerHistory,
+    recordAttempt,
+    seedHistoryFromQuestions,
+    pickMistakeQuestions,
+  };
+}
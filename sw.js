@@ -1,32 +1,105 @@
 // Service Worker（PWA用）
 // - アプリの“殻”（HTML/CSS/JS/アイコン）をキャッシュしてオフラインでも起動しやすくする
-// - CSV/JSON は更新されやすいので「ネット優先」で取得し、失敗時にキャッシュを使う
+// - キャッシュのバージョンは asset-manifest.js（ファイルのハッシュ一覧）から決める
+//   → ファイルを変えて asset-manifest.js を作り直すと、この SW の更新として検出される
+// - 新しい SW はすぐには切り替えず、ページの「再読み込み」（SKIP_WAITING）で切り替える
+// - 問題データ（packs.json と、そこに並んだ CSV / TSV / JSON）は、ページから CACHE_SOURCES で「いま使っているファイル」を受け取り、
+//   アプリの更新とは別のキャッシュ（DATA_CACHE）に入れる。結果は SOURCE_STATUS でページに返す
+// - 問題データは更新されやすいので「ネット優先」で取得し、失敗時にキャッシュを使う
+// - explanations.json はキャッシュを先に返し、裏で取り直して asOf が変わっていたらページに知らせる
 
-const CACHE_VERSION = "v1";
+importScripts("./asset-manifest.js");
+
+const MANIFEST = self.ASSET_MANIFEST || { version: "dev", files: {} };
+const CACHE_VERSION = MANIFEST.version;
 const APP_SHELL_CACHE = `app-shell-${CACHE_VERSION}`;
 
-const APP_SHELL_FILES = [
-  "./",
-  "./index.html",
-  "./style.css",
-  "./app.js",
-  "./manifest.webmanifest",
-  "./icon-192.png",
-  "./icon-512.png",
-  "./apple-touch-icon.png",
-  "./explanations.json",
-  "./result.csv",
-  "./result%20(1).csv",
-  "./result%20(2).csv"
-];
+const APP_SHELL_FILES = ["./", ...Object.keys(MANIFEST.files)];
+
+// 問題データはアプリの更新で消さないよう、バージョンなしのキャッシュに置く
+const DATA_CACHE = "quiz-data";
+// キャッシュに入れた日時を持たせるヘッダ（ページからも読める）
+const CACHED_AT_HEADER = "x-cached-at";
 
 self.addEventListener("install", (event) => {
+  // HTTP キャッシュに古いファイルが残っていても拾わないよう、取り直して入れる
   event.waitUntil(
-    caches.open(APP_SHELL_CACHE).then((cache) => cache.addAll(APP_SHELL_FILES))
+    caches.open(APP_SHELL_CACHE).then((cache) =>
+      cache.addAll(APP_SHELL_FILES.map((url) => new Request(url, { cache: "reload" })))
+    )
   );
-  self.skipWaiting();
 });
 
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+  if (data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  } else if (data.type === "CACHE_SOURCES" && Array.isArray(data.files)) {
+    event.waitUntil(cacheSources(data.files, event.source));
+  }
+});
+
+// 取得日時のヘッダを付けてキャッシュに入れる
+async function putWithTimestamp(cache, req, res) {
+  const headers = new Headers(res.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  const body = await res.clone().blob();
+  await cache.put(req, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+}
+
+function cachedAtOf(res) {
+  const v = Number(res?.headers.get(CACHED_AT_HEADER));
+  return Number.isFinite(v) && v > 0 ? v : null;
+}
+
+/**
+ * ページが使っている問題データをキャッシュし、ファイルごとの状態を返す
+ *   state: "fresh"   … いま取り直してキャッシュした
+ *          "stale"   … 取り直せなかったが、前にキャッシュしたものがある
+ *          "shell"   … アプリの“殻”として SW の更新時にキャッシュ済み（explanations.json など）
+ *          "missing" … 取り直せず、キャッシュもない（オフラインでは使えない）
+ */
+async function cacheSources(files, client) {
+  const cache = await caches.open(DATA_CACHE);
+
+  const statuses = await Promise.all(files.map(async (file) => {
+    const req = new Request(file);
+
+    // file はページから "./result%20(1).csv" の形（asset-manifest.js と同じ書き方）で来る
+    if (MANIFEST.files[file]) {
+      const shell = await caches.match(req, { ignoreSearch: true });
+      return { file, state: shell ? "shell" : "missing", cachedAt: cachedAtOf(shell) };
+    }
+
+    try {
+      const fresh = await fetch(req, { cache: "no-store" });
+      if (!fresh.ok) throw new Error(`HTTP ${fresh.status}`);
+      await putWithTimestamp(cache, req, fresh);
+      return { file, state: "fresh", cachedAt: Date.now() };
+    } catch (e) {
+      const cached = await cache.match(req);
+      return {
+        file,
+        state: cached ? "stale" : "missing",
+        cachedAt: cachedAtOf(cached),
+        error: String(e?.message ?? e),
+      };
+    }
+  }));
+
+  const message = {
+    type: "SOURCE_STATUS",
+    files: statuses,
+    offlineReady: statuses.every((s) => s.state !== "missing"),
+  };
+  if (client) {
+    client.postMessage(message);
+  } else {
+    const all = await self.clients.matchAll({ type: "window" });
+    all.forEach((c) => c.postMessage(message));
+  }
+}
+
 self.addEventListener("activate", (event) => {
   event.waitUntil((async () => {
     const keys = await caches.keys();
@@ -39,6 +112,60 @@ self.addEventListener("activate", (event) => {
   })());
 });
 
+// 取得したページ（クライアント）にメッセージを送る
+async function notifyClient(clientId, message) {
+  const client = clientId ? await self.clients.get(clientId) : null;
+  if (client) {
+    client.postMessage(message);
+    return;
+  }
+  const all = await self.clients.matchAll({ type: "window" });
+  all.forEach((c) => c.postMessage(message));
+}
+
+async function readAsOf(res) {
+  try {
+    const data = await res.clone().json();
+    return data && data.asOf ? String(data.asOf) : null;
+  } catch {
+    return null;
+  }
+}
+
+// explanations.json：キャッシュ優先＋裏で更新（asOf が違えば EXPLANATIONS_UPDATED を送る）
+async function handleExplanations(event) {
+  const req = event.request;
+  const cache = await caches.open(APP_SHELL_CACHE);
+  const cached = await cache.match(req, { ignoreSearch: true });
+
+  const refresh = (async () => {
+    const fresh = await fetch(req, { cache: "no-store" });
+    if (!fresh.ok) return fresh;
+    if (cached) {
+      const [cachedAsOf, freshAsOf] = await Promise.all([readAsOf(cached), readAsOf(fresh)]);
+      if (cachedAsOf !== freshAsOf) {
+        await notifyClient(event.clientId || event.resultingClientId, {
+          type: "EXPLANATIONS_UPDATED",
+          cachedAsOf,
+          networkAsOf: freshAsOf,
+        });
+      }
+    }
+    await cache.put(req, fresh.clone());
+    return fresh;
+  })();
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  try {
+    return await refresh;
+  } catch {
+    return new Response("offline", { status: 503 });
+  }
+}
+
 self.addEventListener("fetch", (event) => {
   const req = event.request;
   const url = new URL(req.url);
@@ -46,25 +173,37 @@ self.addEventListener("fetch", (event) => {
   // 同一オリジンのみ扱う
   if (url.origin !== location.origin) return;
 
-  // CSV/JSON は「ネット優先 → ダメならキャッシュ」
-  if (url.pathname.endsWith(".csv") || url.pathname.endsWith(".json")) {
+  if (url.pathname.endsWith("/explanations.json")) {
+    event.respondWith(handleExplanations(event));
+    return;
+  }
+
+  // 問題データ（CSV/TSV/JSON）は「ネット優先 → ダメならキャッシュ」
+  //   取れたものは DATA_CACHE に入れておく（キャッシュから返したものには取得日時のヘッダが付いている）
+  if (/\.(csv|tsv|txt|json)$/i.test(url.pathname)) {
     event.respondWith((async () => {
       try {
         const fresh = await fetch(req);
-        const cache = await caches.open(APP_SHELL_CACHE);
-        cache.put(req, fresh.clone());
+        if (fresh.ok) {
+          const cache = await caches.open(DATA_CACHE);
+          event.waitUntil(putWithTimestamp(cache, req, fresh));
+        }
         return fresh;
       } catch {
         const cached = await caches.match(req);
-        return cached || new Response("offline", { status: 503 });
+        return cached || new Response("offline: not cached", {
+          status: 503,
+          headers: { "Content-Type": "text/plain; charset=utf-8" },
+        });
       }
     })());
     return;
   }
 
   // それ以外（HTML/CSS/JS/アイコン等）は「キャッシュ優先」
+  //   ページを開くときはクエリ（共有リンクの ?seed=… など）を無視して、キャッシュした index.html を返す
   event.respondWith((async () => {
-    const cached = await caches.match(req);
+    const cached = await caches.match(req, { ignoreSearch: req.mode === "navigate" });
     return cached || fetch(req);
   })());
 });
@@ -0,0 +1,64 @@
+// 同梱の結果CSV（packs.json に並んだファイル）と CSV パーサ
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeCsvBytes, parseCsvText } from "../csv-parser.js";
+import { parseQuestionSource } from "../question-sources.js";
+import { readBundledSources, loadBundledQuestions } from "./helpers.js";
+
+test("同梱の結果CSVは 3 ファイルとも 45 問ずつ、誤りなく読める", () => {
+  const sources = readBundledSources();
+  assert.equal(sources.length, 3);
+
+  for (const source of sources) {
+    assert.equal(source.format, "result-csv", source.file);
+    const { questions, report } = parseQuestionSource(source);
+    assert.equal(questions.length, 45, source.file);
+    assert.deepEqual(report.parseErrors, [], source.file);
+    assert.deepEqual(report.missing, [], source.file);
+    assert.deepEqual(report.skipped, [], source.file);
+    assert.deepEqual(report.selectionMismatches, [], source.file);
+  }
+});
+
+test("同梱の問題は ID が重複せず、どの問題にも正答がある", () => {
+  const questions = loadBundledQuestions();
+  assert.equal(questions.length, 135);
+  assert.equal(new Set(questions.map(q => q.id)).size, 135);
+
+  for (const q of questions) {
+    assert.match(q.id, /^\d+-\d+$/);
+    assert.ok(q.choices.length >= 2, q.id);
+    const correct = q.choices.filter(c => c.isCorrect).length;
+    assert.ok(correct >= 1, q.id);
+    assert.equal(q.isMultiple, correct > 1, q.id);
+  }
+});
+
+test("BOM はヘッダに残らない", () => {
+  for (const source of readBundledSources()) {
+    const { rows } = parseCsvText(source.text);
+    assert.ok(!rows[0][0].startsWith("\uFEFF"), source.file);
+  }
+  const { text, encoding, bom } = decodeCsvBytes(new Uint8Array([0xEF, 0xBB, 0xBF, 0x61, 0x2C, 0x62]));
+  assert.deepEqual({ text, encoding, bom }, { text: "a,b", encoding: "utf-8", bom: true });
+});
+
+test("Shift_JIS のバイト列は Shift_JIS として読む", () => {
+  // 「問題」（Shift_JIS）
+  const { text, encoding } = decodeCsvBytes(new Uint8Array([0x96, 0xE2, 0x91, 0xE8]));
+  assert.equal(encoding, "shift_jis");
+  assert.equal(text, "問題");
+});
+
+test("クォート内の区切り文字・改行・エスケープを値に残す", () => {
+  const { rows, errors } = parseCsvText('a,b\r\n"x,1","y\r\n""2"""\r\n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [["a", "b"], ["x,1", 'y\r\n"2"']]);
+});
+
+test("書式の誤りは行・列の位置付きで返す", () => {
+  const { rows, errors } = parseCsvText('a,b\nx"y,1\n"z"w,2\n3\n"open,4');
+  assert.equal(rows.length, 5);
+  assert.deepEqual(errors.map(e => [e.line, e.column]), [[2, 2], [3, 4], [4, 1], [5, 1], [5, 1]]);
+  assert.match(errors[3].message, /クォートが閉じられていません/);
+});
@@ -0,0 +1,81 @@
+// 採点（scoreAnswer）と復習日の決め方（scheduleReview）
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreAnswer, scheduleReview, DAY_MS, SRS_DEFAULT_EASE, SRS_MIN_EASE } from "../quiz-engine.js";
+import { loadBundledQuestions } from "./helpers.js";
+
+// 正答の位置から問題を作る
+function makeQuestion(correctIndexes, choiceCount = 4) {
+  const choices = Array.from({ length: choiceCount }, (_, i) => ({ id: i, text: `選択肢${i + 1}`, isCorrect: correctIndexes.includes(i) }));
+  return { id: "t-1", choices, isMultiple: correctIndexes.length > 1 };
+}
+
+const POLICIES = ["strict", "partial", "penalty"];
+
+test("単一選択：正解は 1 点、それ以外は 0 点（採点方式によらない）", () => {
+  const q = makeQuestion([2]);
+  for (const policy of POLICIES) {
+    assert.deepEqual(scoreAnswer(q, [2], policy), { isCorrect: true, score: 1, marks: ["", "", "correct", ""] }, policy);
+    assert.deepEqual(scoreAnswer(q, [0], policy), { isCorrect: false, score: 0, marks: ["wrong", "", "missed", ""] }, policy);
+    assert.deepEqual(scoreAnswer(q, [], policy), { isCorrect: false, score: 0, marks: ["", "", "missed", ""] }, policy);
+  }
+});
+
+test("複数選択：すべて正しく選んだときだけ正解", () => {
+  const q = makeQuestion([0, 3]);
+  for (const policy of POLICIES) {
+    const r = scoreAnswer(q, [3, 0], policy);
+    assert.equal(r.isCorrect, true, policy);
+    assert.equal(r.score, 1, policy);
+    assert.equal(scoreAnswer(q, [0], policy).isCorrect, false, policy);
+    assert.equal(scoreAnswer(q, [0, 1, 3], policy).isCorrect, false, policy);
+  }
+});
+
+test("複数選択：部分点", () => {
+  const q = makeQuestion([0, 1, 3]);
+  // 2 / 3 を選べた
+  assert.equal(scoreAnswer(q, [0, 1], "strict").score, 0);
+  assert.equal(scoreAnswer(q, [0, 1], "partial").score, 2 / 3);
+  assert.equal(scoreAnswer(q, [0, 1], "penalty").score, 2 / 3);
+  // 2 / 3 を選べたが、誤りも 1 つ選んだ
+  assert.equal(scoreAnswer(q, [0, 1, 2], "strict").score, 0);
+  assert.equal(scoreAnswer(q, [0, 1, 2], "partial").score, 2 / 3);
+  assert.equal(scoreAnswer(q, [0, 1, 2], "penalty").score, 1 / 3);
+  assert.deepEqual(scoreAnswer(q, [0, 1, 2], "penalty").marks, ["correct", "correct", "wrong", "missed"]);
+  // 減点で 0 より下にはならない
+  assert.equal(scoreAnswer(makeQuestion([0, 1]), [0, 2, 3], "penalty").score, 0);
+});
+
+test("同梱の問題：正答をそのまま選べば正解、1 つでも外せば不正解", () => {
+  for (const q of loadBundledQuestions()) {
+    const correct = q.choices.map((c, i) => (c.isCorrect ? i : -1)).filter(i => i >= 0);
+    assert.equal(scoreAnswer(q, correct, "strict").isCorrect, true, q.id);
+
+    const wrong = q.choices.findIndex(c => !c.isCorrect);
+    if (wrong >= 0) assert.equal(scoreAnswer(q, [...correct, wrong], "strict").isCorrect, false, q.id);
+    if (q.isMultiple) assert.equal(scoreAnswer(q, correct.slice(1), "strict").isCorrect, false, q.id);
+  }
+});
+
+test("復習日：正解で 1日 → 3日 → 間隔×ease と伸び、不正解ですぐ復習に戻る", () => {
+  const now = Date.UTC(2025, 0, 1);
+  let stat = { seen: 1, lastSeen: 1 };
+
+  stat = scheduleReview(stat, true, now);
+  assert.deepEqual([stat.reps, stat.interval, stat.due], [1, 1, now + DAY_MS]);
+  assert.equal(stat.ease, SRS_DEFAULT_EASE + 0.1);
+  assert.equal(stat.seen, 1, "出題統計はそのまま残す");
+
+  stat = scheduleReview(stat, true, now);
+  assert.deepEqual([stat.reps, stat.interval], [2, 3]);
+
+  stat = scheduleReview(stat, true, now);
+  assert.deepEqual([stat.reps, stat.interval], [3, Math.round(3 * (SRS_DEFAULT_EASE + 0.2))]);
+
+  stat = scheduleReview(stat, false, now);
+  assert.deepEqual([stat.reps, stat.lapses, stat.interval, stat.due], [0, 1, 0, now]);
+
+  for (let i = 0; i < 10; i++) stat = scheduleReview(stat, false, now);
+  assert.equal(stat.ease, SRS_MIN_EASE);
+});
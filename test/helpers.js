@@ -0,0 +1,42 @@
+// テスト用の共通部品
+// - 同梱の問題データ（packs.json に並んだファイル）の読み込み
+// - localStorage の代わりになる保存先、再現できる乱数
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { PACK_MANIFEST_FILE, readPackManifest, decodeQuestionSource, parseQuestionSource } from "../question-sources.js";
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// packs.json に並んだファイル → [{ file, format, text }]
+export function readBundledSources() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, PACK_MANIFEST_FILE), "utf8"));
+  return readPackManifest(manifest).map(({ file, format }) => ({
+    file,
+    ...decodeQuestionSource(file, fs.readFileSync(path.join(ROOT, file)), format),
+  }));
+}
+
+// 同梱の全問題（同じ id は先のファイルを優先。アプリと同じ）
+export function loadBundledQuestions() {
+  const byId = new Map();
+  for (const source of readBundledSources()) {
+    for (const q of parseQuestionSource(source).questions) {
+      if (!byId.has(q.id)) byId.set(q.id, q);
+    }
+  }
+  return [...byId.values()];
+}
+
+// localStorage と同じ getItem / setItem を持つメモリ上の保存先
+export function createMemoryStorage() {
+  const map = new Map();
+  return {
+    getItem: (key) => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => { map.set(key, String(value)); },
+    removeItem: (key) => { map.delete(key); },
+  };
+}
+
+// 種から同じ並びを返す乱数（アプリの共有リンクと同じもの）
+export { createSeededRandom as seededRandom } from "../quiz-engine.js";
@@ -0,0 +1,83 @@
+// 共有リンク（?seed=…&ids=…&count=…）で同じクイズを再現する
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createQuizEngine, parseQuizLink, buildQuizLink, shuffleChoices, createSeededRandom } from "../quiz-engine.js";
+import { loadBundledQuestions, createMemoryStorage } from "./helpers.js";
+
+const questions = loadBundledQuestions();
+
+// リンクを開いた人の画面に出る「問題 ID と選択肢の並び」
+function takeLinkedQuiz(search, storage = createMemoryStorage()) {
+  const link = parseQuizLink(search);
+  const engine = createQuizEngine({ storage });
+  return engine.pickLinkedQuestions(questions, link)
+    .map(q => ({ id: q.id, choices: shuffleChoices(q, link.seed).map(c => c.id) }));
+}
+
+test("同じ種の乱数は同じ並びを返す", () => {
+  const a = createSeededRandom(123);
+  const b = createSeededRandom(123);
+  const c = createSeededRandom(124);
+  const seqA = Array.from({ length: 5 }, a);
+  assert.deepEqual(seqA, Array.from({ length: 5 }, b));
+  assert.notDeepEqual(seqA, Array.from({ length: 5 }, c));
+  assert.ok(seqA.every(x => x >= 0 && x < 1));
+});
+
+test("URL パラメータの読み書き", () => {
+  assert.equal(parseQuizLink(""), null);
+  assert.equal(parseQuizLink("?mode=exam"), null);
+  assert.deepEqual(parseQuizLink("?seed=42&ids=1-3,2-7,1-3&count=2"), { seed: 42, ids: ["1-3", "2-7"], count: 2 });
+  assert.deepEqual(parseQuizLink("?ids=1-3"), { seed: null, ids: ["1-3"], count: null });
+  assert.deepEqual(parseQuizLink("?seed=abc&count=0"), { seed: null, ids: [], count: null });
+  assert.equal(parseQuizLink("?seed=4294967296").seed, null);
+
+  const search = buildQuizLink({ seed: 4294967295, ids: ["1-3", "2-7"], count: 2 });
+  assert.equal(search, "seed=4294967295&ids=1-3,2-7&count=2");
+  assert.deepEqual(parseQuizLink(`?${search}`), { seed: 4294967295, ids: ["1-3", "2-7"], count: 2 });
+});
+
+test("同じリンクなら、出題統計が違っても同じ問題・同じ選択肢の順番になる", () => {
+  const search = "?seed=20250101&ids=2-7,1-3,3-40&count=3";
+
+  // 片方はすでに何回か解いている
+  const used = createMemoryStorage();
+  const engine = createQuizEngine({ storage: used });
+  for (let i = 0; i < 5; i++) {
+    for (const q of engine.pickQuestions(questions, 10)) engine.recordGradeResult(q.id, i % 2 === 0);
+  }
+
+  const a = takeLinkedQuiz(search);
+  const b = takeLinkedQuiz(search, used);
+  assert.deepEqual(a, b);
+  assert.deepEqual(a.map(x => x.id), ["2-7", "1-3", "3-40"]);
+});
+
+test("選択肢の並びは種で変わり、一緒に出す問題には左右されない", () => {
+  const q = questions.find(x => x.choices.length >= 4);
+  const orderOf = (seed) => shuffleChoices(q, seed).map(c => c.id).join(",");
+  const orders = new Set(Array.from({ length: 20 }, (_, seed) => orderOf(seed)));
+  assert.ok(orders.size > 1);
+
+  const alone = takeLinkedQuiz(`?seed=7&ids=${q.id}`);
+  const withOthers = takeLinkedQuiz(`?seed=7&ids=1-1,${q.id},2-2`);
+  assert.deepEqual(withOthers.find(x => x.id === q.id), alone[0]);
+});
+
+test("ID がなければ種と出題数で問題を選ぶ", () => {
+  const a = takeLinkedQuiz("?seed=99&count=10");
+  assert.equal(a.length, 10);
+  assert.deepEqual(a, takeLinkedQuiz("?seed=99&count=10"));
+  assert.notDeepEqual(a.map(x => x.id), takeLinkedQuiz("?seed=100&count=10").map(x => x.id));
+});
+
+test("問題データにない ID は飛ばし、出題した問題は出題統計に数える", () => {
+  const storage = createMemoryStorage();
+  const engine = createQuizEngine({ storage });
+  const picked = engine.pickLinkedQuestions(questions, parseQuizLink("?seed=1&ids=9-99,1-3"));
+  assert.deepEqual(picked.map(q => q.id), ["1-3"]);
+
+  const stats = engine.loadQuizStats();
+  assert.equal(stats.quizRun, 1);
+  assert.deepEqual(stats.byId["1-3"], { seen: 1, lastSeen: 1 });
+});
@@ -0,0 +1,50 @@
+// 出題の偏り（pickQuestions）
+// - TARGET_RUNS_TO_SEE_ALL 回のうちに全問が一度は出ること
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createQuizEngine, TARGET_RUNS_TO_SEE_ALL, DAY_MS } from "../quiz-engine.js";
+import { loadBundledQuestions, createMemoryStorage, seededRandom } from "./helpers.js";
+
+const QUESTIONS_PER_QUIZ = 10;
+const questions = loadBundledQuestions();
+
+test("採点しなくても、出題回数の差は 1 回までにそろう", () => {
+  const engine = createQuizEngine({ storage: createMemoryStorage(), random: seededRandom(1) });
+
+  for (let run = 0; run < TARGET_RUNS_TO_SEE_ALL; run++) {
+    const picked = engine.pickQuestions(questions, QUESTIONS_PER_QUIZ);
+    assert.equal(picked.length, QUESTIONS_PER_QUIZ);
+    assert.equal(new Set(picked.map(q => q.id)).size, QUESTIONS_PER_QUIZ, "1 回の中で同じ問題を出さない");
+  }
+
+  const stats = engine.loadQuizStats();
+  assert.equal(stats.quizRun, TARGET_RUNS_TO_SEE_ALL);
+  const seen = questions.map(q => stats.byId[q.id]?.seen || 0);
+  assert.ok(Math.min(...seen) >= 1, "出ていない問題がある");
+  assert.ok(Math.max(...seen) - Math.min(...seen) <= 1, `出題回数の差：${Math.min(...seen)}〜${Math.max(...seen)}`);
+});
+
+test("毎回採点して日が進んでも、全問が一度は出る", () => {
+  let now = Date.UTC(2025, 0, 1);
+  const random = seededRandom(2);
+  const engine = createQuizEngine({ storage: createMemoryStorage(), random, clock: () => now });
+
+  const shown = new Set();
+  for (let run = 0; run < TARGET_RUNS_TO_SEE_ALL; run++) {
+    for (const q of engine.pickQuestions(questions, QUESTIONS_PER_QUIZ)) {
+      shown.add(q.id);
+      engine.recordGradeResult(q.id, random() < 0.6);
+    }
+    now += DAY_MS;
+  }
+
+  assert.equal(shown.size, questions.length);
+});
+
+test("同じ乱数の種なら同じ問題が同じ順で出る", () => {
+  const pickIds = () => {
+    const engine = createQuizEngine({ storage: createMemoryStorage(), random: seededRandom(42) });
+    return engine.pickQuestions(questions, QUESTIONS_PER_QUIZ).map(q => q.id);
+  };
+  assert.deepEqual(pickIds(), pickIds());
+});
@@ -0,0 +1,60 @@
+// asset-manifest.js の生成
+// - Service Worker がキャッシュするファイルと、その中身のハッシュを書き出す
+// - ファイルを変更してデプロイする前に node update-asset-manifest.js を実行する
+//   （asset-manifest.js が変わると sw.js の更新として扱われ、キャッシュが作り直される）
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// アプリの“殻”としてキャッシュするファイル（sw.js 自身は含めない）
+// 問題データ（packs.json と CSV など）はここに入れない：アプリが使っているファイルを SW に伝えて別のキャッシュに入れる
+export const SHELL_FILES = [
+  "index.html",
+  "style.css",
+  "csv-parser.js",
+  "question-bank.js",
+  "question-sources.js",
+  "quiz-engine.js",
+  "validator.js",
+  "app.js",
+  "manifest.webmanifest",
+  "icon-192.png",
+  "icon-512.png",
+  "apple-touch-icon.png",
+  "explanations.json",
+];
+
+const OUTPUT = "asset-manifest.js";
+
+function hashOf(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex").slice(0, 12);
+}
+
+export function buildAssetManifest(dir) {
+  const files = {};
+  for (const name of SHELL_FILES) {
+    files[`./${encodeURI(name)}`] = hashOf(fs.readFileSync(path.join(dir, name)));
+  }
+  // 全ファイルのハッシュをまとめたものをキャッシュのバージョンにする
+  const version = hashOf(Object.entries(files).map(([f, h]) => `${f}:${h}`).join("\n"));
+  return { version, files };
+}
+
+export function renderAssetManifest(manifest) {
+  return [
+    "// 自動生成：node update-asset-manifest.js で作り直す（手で編集しない）",
+    "// Service Worker が importScripts で読み込み、キャッシュのバージョンとキャッシュ対象に使う",
+    `self.ASSET_MANIFEST = ${JSON.stringify(manifest, null, 2)};`,
+    "",
+  ].join("\n");
+}
+
+// node update-asset-manifest.js で実行したときだけ書き出す
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const dir = path.dirname(fileURLToPath(import.meta.url));
+  const manifest = buildAssetManifest(dir);
+  fs.writeFileSync(path.join(dir, OUTPUT), renderAssetManifest(manifest));
+  console.log(`${OUTPUT} を更新しました（version ${manifest.version}、${Object.keys(manifest.files).length}ファイル）`);
+}
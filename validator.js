@@ -0,0 +1,209 @@
+// 問題バンクの検証
+// - 問題データ（CSV / 問題パックなど）と explanations.json を突き合わせて、問題データの不備を一覧にする
+// - ブラウザ：app.js の「問題データの検証」画面から validateQuestionBank() を呼ぶ
+// - Node：node validator.js [ファイル...]（省略時は packs.json に並んだファイル）で結果を表示する
+import { normalizeUrlForCompare } from "./question-bank.js";
+import { PACK_MANIFEST_FILE, readPackManifest, decodeQuestionSource, parseQuestionSource } from "./question-sources.js";
+
+
+/***********************
+ * 検証本体
+ ***********************/
+/**
+ * input = {
+ *   files: [{ file: string, text: string, format?: string }],  // 問題データのテキスト（読み込み順。format はソースアダプタの id）
+ *   explanations: { items: [{ id, title, body, links }] } | null,
+ * }
+ *
+ * 戻り値 = {
+ *   questionCount: number,
+ *   columnProblems:      [{ file, missing }],
+ *   parseErrors:         [{ file, line, column, message }],  // CSV の書式の誤り（line はファイルの物理行）
+ *   skippedRows:         [{ file, row, id, reason }],
+ *   duplicateIds:        [{ id, files }],
+ *   emptyChoiceKeys:     [{ file, row, id, message }],
+ *   selectionMismatches: [{ file, row, id, message }],
+ *   missingExplanations: [{ id }],
+ *   orphanExplanations:  [{ id }],
+ *   linkMismatches:      [{ id, onlyInExplanation, onlyInCsv }],
+ * }
+ */
+export function validateQuestionBank(input) {
+  const files = Array.isArray(input?.files) ? input.files : [];
+  const items = Array.isArray(input?.explanations?.items) ? input.explanations.items : [];
+
+  const result = {
+    questionCount: 0,
+    columnProblems: [],
+    parseErrors: [],
+    skippedRows: [],
+    duplicateIds: [],
+    emptyChoiceKeys: [],
+    selectionMismatches: [],
+    missingExplanations: [],
+    orphanExplanations: [],
+    linkMismatches: [],
+  };
+
+  // id → 最初に出てきた問題 / 出てきたファイル一覧
+  const firstById = new Map();
+  const filesById = new Map();
+  // 問題パックに入っている解説（explanations.json に無い id の解説として扱う）
+  const inlineExplanations = new Map();
+
+  for (const { file, text, format } of files) {
+    let parsed;
+    try {
+      parsed = parseQuestionSource({ file, text, format });
+    } catch (e) {
+      result.columnProblems.push({ file, missing: [`読み込めません（${e?.message ?? e}）`] });
+      continue;
+    }
+    const { questions, explanations, report } = parsed;
+    explanations.forEach(e => { if (!inlineExplanations.has(e.id)) inlineExplanations.set(e.id, e); });
+
+    if (report.missing.length > 0) result.columnProblems.push({ file, missing: report.missing });
+    report.skipped.forEach(s => result.skippedRows.push({ file, ...s }));
+    report.warnings.forEach(w => result.emptyChoiceKeys.push({ file, ...w }));
+    report.selectionMismatches.forEach(m => result.selectionMismatches.push({ file, ...m }));
+    report.parseErrors.forEach(p => result.parseErrors.push({ file, ...p }));
+
+    for (const q of questions) {
+      if (!firstById.has(q.id)) firstById.set(q.id, q);
+      const list = filesById.get(q.id) || [];
+      list.push(file);
+      filesById.set(q.id, list);
+    }
+  }
+
+  result.questionCount = firstById.size;
+
+  for (const [id, list] of filesById) {
+    if (list.length > 1) result.duplicateIds.push({ id, files: list });
+  }
+
+  const explanationsById = new Map();
+  items.forEach(item => {
+    if (item && item.id) explanationsById.set(item.id, item);
+  });
+
+  for (const [id, q] of firstById) {
+    const exp = explanationsById.get(id) || inlineExplanations.get(id);
+    if (!exp) {
+      result.missingExplanations.push({ id });
+      continue;
+    }
+
+    // 解説の関連リンクと、CSV のヘルプ参照先 URL の食い違い
+    const csvUrls = new Set(q.choices.map(c => c.helpUrl).filter(Boolean).map(normalizeUrlForCompare));
+    const expUrls = new Set((exp.links || []).map(l => l?.url).filter(Boolean).map(normalizeUrlForCompare));
+    const onlyInExplanation = [...expUrls].filter(u => !csvUrls.has(u));
+    const onlyInCsv = [...csvUrls].filter(u => !expUrls.has(u));
+    if (onlyInExplanation.length > 0 || onlyInCsv.length > 0) {
+      result.linkMismatches.push({ id, onlyInExplanation, onlyInCsv });
+    }
+  }
+
+  for (const id of explanationsById.keys()) {
+    if (!firstById.has(id)) result.orphanExplanations.push({ id });
+  }
+
+  return result;
+}
+
+
+/***********************
+ * 表示用の定義（画面と Node 出力で共用）
+ *   level: "error" … 問題が出題されない・正答がおかしいなど、直すべきもの
+ *          "warn"  … 出題はできるが、解説データの整備が必要なもの
+ ***********************/
+export const VALIDATION_SECTIONS = [
+  {
+    key: "columnProblems", level: "error", title: "必須列が見つからない・読み込めないファイル",
+    format: (x) => `${x.file}：${x.missing.join("、")}`,
+  },
+  {
+    key: "parseErrors", level: "error", title: "CSV の書式の誤り",
+    format: (x) => `${x.file} ${x.line}行目 ${x.column}文字目：${x.message}`,
+  },
+  {
+    key: "skippedRows", level: "error", title: "問題にできなかった行",
+    format: (x) => `${x.file} データ行${x.row}（${x.id}）：${x.reason}`,
+  },
+  {
+    key: "duplicateIds", level: "error", title: "ファイル間で重複している問題ID",
+    format: (x) => `${x.id}：${x.files.join(" / ")}`,
+  },
+  {
+    key: "emptyChoiceKeys", level: "error", title: "正答が空の選択肢を指している問題",
+    format: (x) => `${x.file} データ行${x.row}（${x.id}）：${x.message}`,
+  },
+  {
+    key: "selectionMismatches", level: "error", title: "設問文の選ぶ数と正答の数が合わない問題",
+    format: (x) => `${x.file} データ行${x.row}（${x.id}）：${x.message}`,
+  },
+  {
+    key: "missingExplanations", level: "warn", title: "解説が未登録の問題",
+    format: (x) => x.id,
+  },
+  {
+    key: "orphanExplanations", level: "warn", title: "対応する問題がない解説",
+    format: (x) => x.id,
+  },
+  {
+    key: "linkMismatches", level: "warn", title: "解説の関連リンクが CSV のヘルプURLと異なる問題",
+    format: (x) => {
+      const parts = [];
+      if (x.onlyInExplanation.length) parts.push(`解説のみ：${x.onlyInExplanation.join(" , ")}`);
+      if (x.onlyInCsv.length) parts.push(`CSVのみ：${x.onlyInCsv.join(" , ")}`);
+      return `${x.id}：${parts.join(" / ")}`;
+    },
+  },
+];
+
+export function hasValidationErrors(result) {
+  return VALIDATION_SECTIONS.some(sec => sec.level === "error" && result[sec.key].length > 0);
+}
+
+export function formatValidationReport(result) {
+  const lines = [`問題数：${result.questionCount}`];
+  for (const sec of VALIDATION_SECTIONS) {
+    const list = result[sec.key];
+    lines.push("");
+    lines.push(`[${sec.level === "error" ? "エラー" : "注意"}] ${sec.title}：${list.length}件`);
+    list.forEach(x => lines.push(`  - ${sec.format(x)}`));
+  }
+  return lines.join("\n");
+}
+
+
+/***********************
+ * Node から直接実行したとき
+ ***********************/
+// node validator.js のときだけ動かす（import されたときは何もしない）
+if (typeof process === "object" && process.argv?.[1]) {
+  const { pathToFileURL, fileURLToPath } = await import("node:url");
+  if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const fs = await import("node:fs");
+    const path = await import("node:path");
+
+    const dir = path.dirname(fileURLToPath(import.meta.url));
+    const args = process.argv.slice(2);
+    const targets = args.length > 0
+      ? args.map(p => ({ file: p, format: null }))
+      : readPackManifest(JSON.parse(fs.readFileSync(path.join(dir, PACK_MANIFEST_FILE), "utf8")))
+        .map(p => ({ ...p, file: path.join(dir, p.file) }));
+
+    const files = targets.map(({ file, format }) => ({
+      file: path.basename(file),
+      ...decodeQuestionSource(file, fs.readFileSync(file), format),
+    }));
+
+    const expPath = path.join(dir, "explanations.json");
+    const explanations = fs.existsSync(expPath) ? JSON.parse(fs.readFileSync(expPath, "utf8")) : null;
+
+    const result = validateQuestionBank({ files, explanations });
+    console.log(formatValidationReport(result));
+    process.exitCode = hasValidationErrors(result) ? 1 : 0;
+  }
+}